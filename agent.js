@@ -1,6 +1,9 @@
 "use strict";
 import { InvalidActionError, TicTacToe } from './game.js';
-import { xoLog } from './logger.js';
+import { logger } from './logger.js';
+import { EpsilonGreedyExploration, explorationFromJSON } from './exploration.js';
+import { MultilayerPerceptron, SGD, Adam } from './network.js';
+import { Random } from './random.js';
 
 
 class MisalignedPlayerError extends Error {
@@ -19,14 +22,143 @@ class NotImplementedError extends Error {
 }
 
 
+export class IncompatibleAgentError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'IncompatibleAgentError';
+    }
+}
+
+
+// Version of the format produced by Agent.save(). Increment whenever the layout of the
+// saved object changes so that old files can be detected on load. Version 1 keyed Q by
+// whichever symmetric state/action pair was seen first; version 2 uses canonical keys.
+export const AGENT_FORMAT_VERSION = 2;
+
+// Exponent applied to the TD errors of transitions when sampling them for prioritized
+// experience replay (see QLearningAgent): 0 samples uniformly, 1 in proportion to error.
+const PRIORITY_EXPONENT = 0.6;
+
+
+/**
+ * Randomly choose an index of an array of probabilities.
+ * 
+ * @param {Array(number)} probabilities Probabilities that sum to 1.
+ * @param {Random} random Random number generator.
+ * @return {number} An index of probabilities.
+ */
+function sampleIndex(probabilities, random) {
+    let threshold = random.next();
+    for (let [index, probability] of probabilities.entries()) {
+        threshold -= probability;
+        if (threshold < 0.0) {
+            return index;
+        }
+    }
+    // Rounding may leave a small remainder; fall back to the last possible index.
+    let index = probabilities.length - 1;
+    while (index > 0 && probabilities[index] <= 0.0) {
+        index -= 1;
+    }
+    return index;
+}
+
+
+/**
+ * Collect the transitions of one player in a finished game: each position where the
+ * player moved, the move, the reward after the opponent's reply and the player's next
+ * position (null after the player's last move) with its valid actions.
+ * 
+ * @param {TicTacToe} game A finished game.
+ * @param {string} playerChoice A player token from 'X' and 'O'.
+ * @param {function} rewardFunc Reward function that takes in game and player and
+ *     returns a numeric reward.
+ * @return {Array(Object)} The player's transitions {state, action, reward, next,
+ *     nextActions}.
+ */
+function episodeTransitions(game, playerChoice, rewardFunc) {
+    const last = game.stateHistory.length - 1;
+    let transitions = [];
+    for (let i = playerChoice == 'X' ? 0 : 1; i < last; i += 2) {
+        // Only the final state of the game is terminal.
+        const terminal = i + 2 >= last;
+        transitions.push({
+            state: game.stateHistory[i],
+            action: game.actionHistory[i],
+            reward: rewardFunc(game, playerChoice, terminal ? null : i + 2),
+            next: terminal ? null : game.stateHistory[i + 2],
+            nextActions: terminal ? [] : game.getValidActions(i + 2),
+        });
+    }
+    return transitions;
+}
+
+
+/**
+ * Decode a key created by Agent._hash() into the state/action pair and the board it
+ * belongs to, e.g. "4x4x3:X_______________6" is the move 6 on a 4x4 board with 3 in a
+ * row. Keys without a board prefix belong to the classic board.
+ * 
+ * @param {string} key Key of a table such as Agent.Q.
+ * @return {Object} The state (an array), action, board prefix (see Agent.boardTag()),
+ *     width, height and win length.
+ */
+export function decodeKey(key) {
+    let board = '';
+    let width = 3;
+    let height = 3;
+    let winLength = 3;
+    let rest = key;
+    const colon = key.indexOf(':');
+    if (colon >= 0) {
+        board = key.slice(0, colon + 1);
+        [width, height, winLength] = key.slice(0, colon).split('x').map(Number);
+        rest = key.slice(colon + 1);
+    }
+    return {
+        state: rest.slice(0, width * height).split(''),
+        action: Number(rest.slice(width * height)),
+        board,
+        width,
+        height,
+        winLength,
+    };
+}
+
+
 /**
- * Randomly choose an element of an array with uniform probability.
+ * Re-key a table saved in agent format version 1, where a state/action pair was stored
+ * under whichever symmetric equivalent was seen first, with canonical keys (see
+ * decodeKey()).
  * 
- * @param {Array(any)} arr An array.
- * @return {any} An element of arr.
+ * @param {Array(Array)} entries Key/value pairs of the table.
+ * @param {Array(Array)} [countEntries=[]] Key/count pairs used to weight merged values.
+ *     Entries without a count have weight 1.
+ * @return {Object} The re-keyed table and counts as Maps.
  */
-function randomChoice(arr) {
-    return arr[Math.floor(Math.random() * arr.length)];
+function canonicalizeTable(entries, countEntries=[]) {
+    const counts = new Map(countEntries);
+    let sums = new Map();
+    let weights = new Map();
+    let newCounts = new Map();
+    for (let [key, value] of entries) {
+        const {state, action, board, width, height} = decodeKey(key);
+        const newKey = Agent._canonicalKey(state, action, width, height, board);
+
+        const weight = counts.has(key) ? counts.get(key) : 1;
+        sums.set(newKey, (sums.get(newKey) || 0) + weight * value);
+        weights.set(newKey, (weights.get(newKey) || 0) + weight);
+        if (counts.has(key)) {
+            newCounts.set(newKey, (newCounts.get(newKey) || 0) + counts.get(key));
+        }
+    }
+
+    let table = new Map();
+    for (let [key, sum] of sums.entries()) {
+        const weight = weights.get(key);
+        table.set(key, weight > 0 ? sum / weight : 0);
+    }
+    return {table, counts: newCounts};
 }
 
 
@@ -46,64 +178,157 @@ class Agent {
         this.Q = new Map();
         this.defaultQ = defaultQ;
         this.countQ = new Map();
+        // Dimensions and win length of the board the agent plays on, needed to find
+        // symmetric states and to keep apart what is learned on different boards. They are
+        // taken from the game whenever the agent chooses a move or learns.
+        this.width = 3;
+        this.height = 3;
+        this.winLength = 3;
+        // Generator of every random choice the agent makes, so that runs can be repeated
+        // (see setRandom()).
+        this.random = new Random();
+    }
+
+    /**
+     * Adopt the board dimensions and win length of a game.
+     * 
+     * @param {TicTacToe} game Instance of TicTacToe.
+     */
+    setBoard(game) {
+        this.width = game.width;
+        this.height = game.height;
+        this.winLength = game.winLength;
+    }
+
+    /**
+     * Make every random choice of the agent with a generator, e.g. a seeded one shared
+     * with the training loop so that a run can be repeated exactly.
+     * 
+     * @param {Random} random Random number generator (see random.js).
+     */
+    setRandom(random) {
+        this.random = random;
     }
 
     /**
-     * Create a unique string from a state/action pair. E.g. "X___O____6".
+     * Create a unique string from a state/action pair. E.g. "X___O____6". Pairs on boards
+     * other than the classic 3x3 board with 3 in a row are prefixed with the board, e.g.
+     * "4x4x3:X_______________6".
      * 
      * @param {Array(string)} state State of the game board.
      * @param {number} action Integer index of the action to take.
+     * @param {string} [board=''] Prefix identifying the board (see Agent.boardTag()).
      * @return {string} A unique string identifier of the state/action pair.
      */
-    static _hash(state, action) {
-        let key = state.join('');
+    static _hash(state, action, board='') {
+        let key = board + state.join('');
         key += action;
         return key;
     }
 
+    /**
+     * Get the prefix that identifies the agent's current board in keys of this.Q. The
+     * classic board has no prefix.
+     * 
+     * @return {string} Either '' or "<width>x<height>x<winLength>:".
+     */
+    boardTag() {
+        if (this.width == 3 && this.height == 3 && this.winLength == 3) {
+            return '';
+        }
+        return `${this.width}x${this.height}x${this.winLength}:`;
+    }
+
+    /**
+     * Transform a state (and optionally an action) into its canonical form: of all states
+     * equivalent under the rotation and mirror symmetry of the board, the one whose hash is
+     * lexicographically smallest. When the state is symmetric itself, several symmetries
+     * produce the canonical state and the one mapping the action to the smallest index is
+     * used, so that equivalent actions share the canonical action.
+     * 
+     * @param {Array(string)} state State of the game board.
+     * @param {number|null} action Integer index of an action, or null.
+     * @param {number} [width=3] Number of columns of the board.
+     * @param {number} [height=3] Number of rows of the board.
+     * @return {Object} The canonical state and action (null when action is null).
+     */
+    static _canonicalize(state, action, width=3, height=3) {
+        const symmetries = TicTacToe.symmetries(width, height);
+        let best = symmetries[0];
+        let bestAction = action == null ? null : action;
+        for (let s = 1; s < symmetries.length; s++) {
+            const symmetry = symmetries[s];
+            // Compare the transformed states element by element without building them.
+            let order = 0;
+            for (let i = 0; i < state.length && order === 0; i++) {
+                const candidate = state[symmetry.forward[i]];
+                const incumbent = state[best.forward[i]];
+                if (candidate != incumbent) {
+                    order = candidate < incumbent ? -1 : 1;
+                }
+            }
+            const symmetryAction = action == null ? null : symmetry.inverse[action];
+            if (order < 0 || (order === 0 && symmetryAction < bestAction)) {
+                best = symmetry;
+                bestAction = symmetryAction;
+            }
+        }
+        return {state: best.forward.map((index) => state[index]), action: bestAction};
+    }
+
+    /**
+     * Create a string from a state that is identical for all states equivalent under the
+     * rotation and mirror symmetry of the game board (the hash of the canonical state).
+     * 
+     * @param {Array(string)} state State of the game board.
+     * @param {number} [width=3] Number of columns of the board.
+     * @param {number} [height=3] Number of rows of the board.
+     * @return {string} A string identifier shared by all equivalent states.
+     */
+    static _canonicalHash(state, width=3, height=3) {
+        return Agent._canonicalize(state, null, width, height).state.join('');
+    }
+
+    /**
+     * Create the key of a state/action pair that is identical for all pairs equivalent
+     * under the rotation and mirror symmetry of the board (see Agent._canonicalize()).
+     * 
+     * @param {Array(string)} state State of the game board.
+     * @param {number} action Integer index of the action to take.
+     * @param {number} [width=3] Number of columns of the board.
+     * @param {number} [height=3] Number of rows of the board.
+     * @param {string} [board=''] Prefix identifying the board (see Agent.boardTag()).
+     * @return {string} A string identifier shared by all equivalent state/action pairs.
+     */
+    static _canonicalKey(state, action, width=3, height=3, board='') {
+        const canonical = Agent._canonicalize(state, action, width, height);
+        return Agent._hash(canonical.state, canonical.action, board);
+    }
+
     /**
      * Get a string key to index this.Q for the given state/action pair while accounting for
-     * the rotation and mirror symmetry of the game board. If an equivalent board state can
-     * be found via rotation and mirror symmetry, the key of the equivalent state/action is
-     * returned. Otherwise, a key based on the current state/action pair is returned.
+     * the rotation and mirror symmetry of the game board. All equivalent state/action pairs
+     * share a single canonical key, independent of what is already stored in this.Q.
      * 
      * @param {Array(string)} state State of the game board. 
      * @param {number} action Integer index of the action to take.
      * @return {string} A string identifier of the state/action pair for indexing this.Q.
      */
     getKey(state, action) {
-        // Rotate the state/action by n * 90 degrees to see if an equivalent key exists.
-        let actionArray = TicTacToe.toActionArray(action);
-        for (let n = 1; n < 4; n++) {
-            let rotArray = TicTacToe.rot90(actionArray, n);
-            let index = TicTacToe.toActionIndex(rotArray);
-            let newState = TicTacToe.rot90(state, n);
-            let key = MonteCarloAgent._hash(newState, index);
-            if (this.Q.has(key)) {
-                // A matching key was found, return it.
-                xoLog(`${MonteCarloAgent._hash(state, action)} MATCHES ${key}`);
-                return key;
-            }
-        }
-
-        // Mirror the state/action across the vertical axis.
-        let mirrorActionArray = TicTacToe.mirror(actionArray);
-        let mirrorState = TicTacToe.mirror(state);
-        // Rotate mirrored state/action by n * 90 degrees to see if an equivalent key exists.
-        for (let n = 1; n < 4; n++) {
-            let rotArray = TicTacToe.rot90(mirrorActionArray, n);
-            let index = TicTacToe.toActionIndex(rotArray);
-            let newState = TicTacToe.rot90(mirrorState);
-            let key = MonteCarloAgent._hash(newState, index);
-            if (this.Q.has(key)) {
-                // A matching key was found, return it.
-                xoLog(`${MonteCarloAgent._hash(state, action)} MATCHES ${key}`);
-                return key;
-            }
-        }
+        return Agent._canonicalKey(state, action, this.width, this.height, this.boardTag());
+    }
 
-        // No matching key found, return hash of current state.
-        return MonteCarloAgent._hash(state, action);
+    /**
+     * Get the value of a state/action pair according to the action-value function
+     * (Q-function), or defaultQ when nothing has been learned about the pair.
+     * 
+     * @param {Array(string)} state State of the game board.
+     * @param {number} action Integer index of the action to take.
+     * @return {any} The value of the state/action pair.
+     */
+    actionValue(state, action) {
+        const key = this.getKey(state, action);
+        return this.Q.has(key) ? this.Q.get(key) : this.defaultQ;
     }
 
     /**
@@ -114,7 +339,7 @@ class Agent {
      * @param {number|null} [horizon=null] When null, applies policy to latest state. If an
      *     integer, it will instead apply the policy to the state at index horizon in the 
      *     game's stateHistory.
-     * @return {number} Integer index representing the action taken in [0, 8].
+     * @return {number} Integer index representing the action taken in [0, width * height).
      */
     policy(game, horizon=null) {
         /* This function must be implemented by ancestors. */
@@ -131,33 +356,315 @@ class Agent {
     learn(game, rewardFunc) {
         /* Base agent does not learn. */
     }
+
+    /**
+     * Forget everything the agent has learned.
+     */
+    clear() {
+        this.Q = new Map();
+        this.countQ = new Map();
+    }
+
+    /**
+     * Describe the hyperparameters of this type of agent so that they can be edited (e.g.
+     * by building a form in the page). Each entry has the name of the hyperparameter (as in
+     * getHyperparameters()), a label, a type ('number', 'choice' or 'exploration'), its
+     * default and, for numbers, the range of valid values or, for choices, an object
+     * mapping each valid value to its label. Ancestors with hyperparameters should extend
+     * the array returned by the base class.
+     * 
+     * @return {Array(Object)} Schema of each hyperparameter.
+     */
+    static parameterSchema() {
+        return [];
+    }
+
+    /**
+     * Name the format of what this type of agent learns. Agents whose tables have the
+     * same format can take over each other's tables (see adoptTable()).
+     * 
+     * @return {string|null} Name of the format, or null for agents that do not learn.
+     */
+    static tableFormat() {
+        return null;
+    }
+
+    /**
+     * Take over what another agent with the same table format has learned (see
+     * tableFormat()). The tables are copied.
+     * 
+     * @param {Agent} agent The agent whose action-value function is copied.
+     */
+    adoptTable(agent) {
+        this.width = agent.width;
+        this.height = agent.height;
+        this.winLength = agent.winLength;
+        this.Q = new Map(agent.Q);
+        this.countQ = new Map(agent.countQ);
+    }
+
+    /**
+     * Overwrite the learned value of a state/action pair, e.g. to correct the table by
+     * hand. Agents that keep further tables from which Q is derived should extend this.
+     * 
+     * @param {string} key Key of the state/action pair (see getKey()).
+     * @param {number} value The new Q-value.
+     */
+    setValue(key, value) {
+        this.Q.set(key, value);
+    }
+
+    /**
+     * Overwrite the number of times a state/action pair has been updated.
+     * 
+     * @param {string} key Key of the state/action pair (see getKey()).
+     * @param {number} count The new count.
+     */
+    setCount(key, count) {
+        this.countQ.set(key, count);
+    }
+
+    /**
+     * Forget what has been learned about a state/action pair, so that it takes the default
+     * value again. Agents that keep further tables should extend this.
+     * 
+     * @param {string} key Key of the state/action pair (see getKey()).
+     */
+    deleteEntry(key) {
+        this.Q.delete(key);
+        this.countQ.delete(key);
+    }
+
+    /**
+     * Get the hyperparameters of the agent. Ancestors with hyperparameters should extend
+     * the object returned by the base class.
+     * 
+     * @return {Object} Map of hyperparameter names to values.
+     */
+    getHyperparameters() {
+        return {};
+    }
+
+    /**
+     * Set hyperparameters of the agent. Names that are not hyperparameters of this agent
+     * are ignored.
+     * 
+     * @param {Object} hyperparameters Map of hyperparameter names to values.
+     */
+    setHyperparameters(hyperparameters) {
+        const names = Object.keys(this.getHyperparameters());
+        for (let name of names) {
+            if (hyperparameters.hasOwnProperty(name)) {
+                this[name] = hyperparameters[name];
+            }
+        }
+    }
+
+    /**
+     * Serialize the learned action-value function and hyperparameters of the agent into a
+     * plain object that can be passed to JSON.stringify().
+     * 
+     * @return {Object} Versioned representation of the agent (see Agent.load()).
+     */
+    save() {
+        return {
+            version: AGENT_FORMAT_VERSION,
+            type: this.constructor.name,
+            board: {width: this.width, height: this.height, winLength: this.winLength},
+            defaultQ: this.defaultQ,
+            hyperparameters: this.getHyperparameters(),
+            // Seed of the agent's generator, to repeat the run that produced it.
+            seed: this.random.seed,
+            Q: Array.from(this.Q.entries()),
+            countQ: Array.from(this.countQ.entries()),
+        };
+    }
+
+    /**
+     * Upgrade an object produced by Agent.save() in format version 1 to the current format
+     * by re-keying its tables with canonical keys (see getKey()). Entries whose keys become
+     * equal are merged: values are averaged, weighted by their counts where available, and
+     * counts are summed. Ancestors that save additional tables should extend this.
+     * 
+     * @param {Object} data Saved agent in format version 1.
+     * @return {Object} A copy of data in the current format.
+     */
+    upgrade(data) {
+        let upgraded = Object.assign({}, data, {version: AGENT_FORMAT_VERSION});
+        const merged = canonicalizeTable(data.Q, data.countQ || []);
+        upgraded.Q = Array.from(merged.table.entries());
+        upgraded.countQ = Array.from(merged.counts.entries());
+        return upgraded;
+    }
+
+    /**
+     * Restore the learned action-value function and hyperparameters of the agent from an
+     * object produced by Agent.save(). The agent's player token and random number generator
+     * are left untouched (pass new Random(data.seed) to setRandom() to repeat the saved
+     * run). Agents saved in an older format are upgraded (see Agent.upgrade()).
+     * 
+     * @param {Object|string} data Saved agent or its JSON string.
+     * @return {Object} The saved agent in the current format, so that ancestors can
+     *     restore additional fields.
+     */
+    load(data) {
+        if (typeof data === 'string') {
+            data = JSON.parse(data);
+        }
+        if (data && data.version === 1) {
+            data = this.upgrade(data);
+        }
+        if (!data || data.version !== AGENT_FORMAT_VERSION) {
+            throw new IncompatibleAgentError(`Saved agent has format version ${data && data.version}` +
+                                             ` but version ${AGENT_FORMAT_VERSION} is required.`);
+        }
+        if (data.type !== this.constructor.name) {
+            throw new IncompatibleAgentError(`Saved agent is a ${data.type} but this agent is a` +
+                                             ` ${this.constructor.name}.`);
+        }
+
+        if (data.board) {
+            this.width = data.board.width;
+            this.height = data.board.height;
+            this.winLength = data.board.winLength;
+        }
+        this.defaultQ = data.defaultQ;
+        this.setHyperparameters(data.hyperparameters);
+        this.Q = new Map(data.Q);
+        this.countQ = new Map(data.countQ);
+        return data;
+    }
 }
 
 
 /**
- * Base agent for agents with epsilon greedy policies.
+ * Base agent for agents whose policies act on the action-value function (Q-function)
+ * through an exploration strategy (see exploration.js). The strategy is epsilon greedy
+ * unless another one is given, and its parameters may follow a schedule over the number
+ * of episodes the agent has learned from (this.episode).
  */
 class EpsilonGreedyAgent extends Agent {
     /**
      * Instantiate a base Agent class.
      * 
      * @param {string} player Agent's player token from 'X' and 'O'.
-     * @param {number} [epsilon=0.1] Probability of making a random valid move (epsilon greedy).
+     * @param {number|Object} [epsilon=0.1] Probability of making a random valid move
+     *     (epsilon greedy), a schedule of it, or an exploration strategy.
      * @param {any} [defaultQ=null] Variable that may be used to set the initial value of Q.
      */
     constructor(player, epsilon=0.1, defaultQ=null) {
         super(player, defaultQ);
-        self.epsilon = epsilon;
+        if (typeof epsilon.probabilities === 'function') {
+            this.exploration = epsilon;
+        } else {
+            this.exploration = new EpsilonGreedyExploration(epsilon);
+        }
+        this.episode = 0;
     }
 
     /**
-     * Choose an epsilon-greedy action given the current state of the board and action-value
-     * function (Q-function). 
+     * Describe the hyperparameters of this type of agent (see Agent.parameterSchema()).
+     * 
+     * @return {Array(Object)} Schema of each hyperparameter.
+     */
+    static parameterSchema() {
+        return super.parameterSchema().concat([{
+            name: 'exploration',
+            label: 'exploration',
+            type: 'exploration',
+            default: new EpsilonGreedyExploration(0.1).toJSON(),
+        }]);
+    }
+
+    /**
+     * Agents with epsilon greedy (or other exploration) policies learn a table of Q-values
+     * under canonical keys (see Agent.getKey()).
+     * 
+     * @return {string} Name of the format.
+     */
+    static tableFormat() {
+        return 'q-table';
+    }
+
+    /**
+     * Get the hyperparameters of the agent.
+     * 
+     * @return {Object} Map of hyperparameter names to values.
+     */
+    getHyperparameters() {
+        let hyperparameters = super.getHyperparameters();
+        hyperparameters.exploration = this.exploration.toJSON();
+        return hyperparameters;
+    }
+
+    /**
+     * Set hyperparameters of the agent. The exploration strategy may be given as a
+     * strategy or its description; a bare epsilon (as saved by earlier versions) selects
+     * epsilon greedy exploration.
+     * 
+     * @param {Object} hyperparameters Map of hyperparameter names to values.
+     */
+    setHyperparameters(hyperparameters) {
+        super.setHyperparameters(hyperparameters);
+        if (hyperparameters.hasOwnProperty('exploration')) {
+            this.exploration = explorationFromJSON(hyperparameters.exploration);
+        } else if (hyperparameters.hasOwnProperty('epsilon')) {
+            this.exploration = new EpsilonGreedyExploration(hyperparameters.epsilon);
+        }
+    }
+
+    /**
+     * Serialize the agent including the number of episodes it has learned from.
+     * 
+     * @return {Object} Versioned representation of the agent (see Agent.load()).
+     */
+    save() {
+        let data = super.save();
+        data.episode = this.episode;
+        return data;
+    }
+
+    /**
+     * Restore the agent including the number of episodes it has learned from.
+     * 
+     * @param {Object|string} data Saved agent or its JSON string.
+     * @return {Object} The saved agent in the current format.
+     */
+    load(data) {
+        data = super.load(data);
+        this.episode = data.episode || 0;
+        return data;
+    }
+
+    /**
+     * Forget everything the agent has learned and restart exploration schedules.
+     */
+    clear() {
+        super.clear();
+        this.episode = 0;
+    }
+
+    /**
+     * Get the probability of the policy taking each valid action in a state.
+     * 
+     * @param {Array(string)} state State of the game board.
+     * @param {Array(number)} validActions Indices of the valid actions in state.
+     * @return {Array(number)} Probabilities aligned with validActions.
+     */
+    actionProbabilities(state, validActions) {
+        const values = validActions.map((action) => this.actionValue(state, action));
+        const counts = validActions.map((action) => this.countQ.get(this.getKey(state, action)) || 0);
+        return this.exploration.probabilities(values, counts, this.episode);
+    }
+
+    /**
+     * Choose an action given the current state of the board and action-value function
+     * (Q-function) according to the exploration strategy.
      * 
      * @param {TicTacToe} game Instance of TicTacToe.
      * @param {number|null} [horizon=null] When horizon is null, apply policy to latest state.
      *     If horizon is an integer, apply policy to game's stateHistory indexed by horizon.
-     * @return {number} Integer index representing the action taken in [0, 8].
+     * @return {number} Integer index representing the action taken in [0, width * height).
      */
     policy(game, horizon=null) {
         if (horizon == null && this.player != game.currentPlayer) {
@@ -165,6 +672,7 @@ class EpsilonGreedyAgent extends Agent {
                                             ` player ${game.currentPlayer}'s turn.`);
         }
 
+        this.setBoard(game);
         let state;
         if (horizon == null) {
             // Since horizon is null, apply policy to current state.
@@ -179,37 +687,39 @@ class EpsilonGreedyAgent extends Agent {
         if (validActions.length === 0) {
             throw new InvalidActionError('There is nowhere left to make a move!');
         }
-        if (Math.random() < this.epsilon) {
-            // Take a random move with epsilon probability.
-            return randomChoice(validActions);
-        } else {
-            // Map the current state and action proposals to Q-function keys.
-            let keys = validActions.map((action, _) => this.getKey(state, action));
-            // Get an array of valid actions that have maximum return.
-            let maxVal = -Infinity;
-            let bestActions = [];
-            for (let [index, key] of keys.entries()) {
-                // Get the stored return of the proposed action if it exists; otherwise,
-                // use the default Q.
-                let val = this.Q.has(key) ? this.Q.get(key) : this.defaultQ;
-                if (val > maxVal - 1.0e-4 && val < maxVal + 1.0e-4) {
-                    // Return is equal to maximum (so far) return, store proposal.
-                    bestActions.push(validActions[index]);
-                } else if (val > maxVal) {
-                    // Return is greater than maximum (so far) return, empty storage and
-                    // store action.
-                    maxVal = val;
-                    bestActions = [validActions[index]];
-                }
-            }
-            if (bestActions.length > 0) {
-                // Randomly choose an action from those with maximum return.
-                return randomChoice(bestActions);
-            } else {
-                // No action proposals available, return null (probably an error).
-                return null;
+        return validActions[sampleIndex(this.actionProbabilities(state, validActions), this.random)];
+    }
+
+    /**
+     * Get the valid actions that have maximum return according to the action-value
+     * function (Q-function).
+     * 
+     * @param {Array(string)} state State of the game board.
+     * @param {Array(number)} validActions Indices of the valid actions in state.
+     * @param {Map} [Q=this.Q] Action-value function to maximize.
+     * @return {Array(number)} Indices of the actions with maximum return.
+     */
+    greedyActions(state, validActions, Q=this.Q) {
+        // Map the current state and action proposals to Q-function keys.
+        let keys = validActions.map((action, _) => this.getKey(state, action));
+        // Get an array of valid actions that have maximum return.
+        let maxVal = -Infinity;
+        let bestActions = [];
+        for (let [index, key] of keys.entries()) {
+            // Get the stored return of the proposed action if it exists; otherwise,
+            // use the default Q.
+            let val = Q.has(key) ? Q.get(key) : this.defaultQ;
+            if (val > maxVal - 1.0e-4 && val < maxVal + 1.0e-4) {
+                // Return is equal to maximum (so far) return, store proposal.
+                bestActions.push(validActions[index]);
+            } else if (val > maxVal) {
+                // Return is greater than maximum (so far) return, empty storage and
+                // store action.
+                maxVal = val;
+                bestActions = [validActions[index]];
             }
         }
+        return bestActions;
     }
 }
 
@@ -233,7 +743,7 @@ export class RandomAgent extends Agent {
      * @param {TicTacToe} game An instantiation of TicTacToe.
      * @param {number|null} [horizon=null] When horizon is null, apply policy to latest state.
      *     If horizon is an integer, apply policy to game's stateHistory indexed by horizon.
-     * @return {number} The action to take as an index in [0, 8].
+     * @return {number} The action to take as an index in [0, width * height).
      */
     policy(game, horizon=null) {
         if (horizon == null && this.player != game.currentPlayer) {
@@ -244,7 +754,7 @@ export class RandomAgent extends Agent {
         if (validActions.length === 0) {
             throw new InvalidActionError('There is nowhere left to make a move!');
         }
-        return randomChoice(validActions);
+        return this.random.choice(validActions);
     }
 
     /**
@@ -261,20 +771,44 @@ export class RandomAgent extends Agent {
 
 /**
  * Agent that uses Monte Carlo to update a tabular action-value function (Q-function).
+ * Learning is done at the end of each episode from the rewards that followed each of the
+ * agent's moves, so it does not matter how often learn() is called during the episode.
  */
 export class MonteCarloAgent extends EpsilonGreedyAgent {
     /**
      * Instantiate a MonteCarloAgent agent.
      * 
      * @param {string} player Agent's player token from 'X' and 'O'.
-     * @param {number} [epsilon=0.1] Probability of making a random valid move (epsilon greedy).  
+     * @param {number|Object} [epsilon=0.1] Probability of making a random valid move
+     *     (epsilon greedy), a schedule of it, or an exploration strategy.
      * @param {number} [discount=1.0] Reward discount factor. 
      * @param {number} [defaultQ=0.0] Initial value of the Q function for any state/action pair. 
      */
     constructor(player, epsilon=0.1, discount=1.0, defaultQ=0.0) {
         super(player, epsilon, defaultQ);
         this.discount = discount;
-        this.rewards = [];
+    }
+
+    /**
+     * Describe the hyperparameters of this type of agent (see Agent.parameterSchema()).
+     * 
+     * @return {Array(Object)} Schema of each hyperparameter.
+     */
+    static parameterSchema() {
+        return super.parameterSchema().concat([
+            {name: 'discount', label: 'discount', type: 'number', min: 0.0, max: 1.0, default: 1.0},
+        ]);
+    }
+
+    /**
+     * Get the hyperparameters of the agent.
+     * 
+     * @return {Object} Map of hyperparameter names to values.
+     */
+    getHyperparameters() {
+        let hyperparameters = super.getHyperparameters();
+        hyperparameters.discount = this.discount;
+        return hyperparameters;
     }
 
     /**
@@ -285,10 +819,7 @@ export class MonteCarloAgent extends EpsilonGreedyAgent {
      *     returns a numeric reward.
      */
     learn(game, rewardFunc) {
-        // Compute a reward given the current state and store.
-        const reward = rewardFunc(game, game.currentPlayer, game.stateHistory.length);
-        this.rewards.push(reward);
-        
+        this.setBoard(game);
         const outcome = game.checkTermination();
         if (outcome) {
             // Game is complete.
@@ -317,8 +848,7 @@ export class MonteCarloAgent extends EpsilonGreedyAgent {
             // Compute return for each intermediate and terminal state acted on by
             // the agent and compute the average across game episodes.
             let totalReward = 0.0;
-            // Point to end of reward storage.
-            let j = this.rewards.length - 1;
+            const last = game.stateHistory.length - 1;
             // Go backwards through state/action history.
             for (let i = end - 1; i >= 0; i -= 2) {
                 // Get a (equivalent) Q-function key for the state/action pair.
@@ -330,8 +860,10 @@ export class MonteCarloAgent extends EpsilonGreedyAgent {
                 // default.
                 let q = this.Q.has(key) ? this.Q.get(key) : this.defaultQ;
                 let n = this.countQ.has(key) ? this.countQ.get(key) : 0;
+                // The reward follows the opponent's reply (or the end of the game).
+                const reward = rewardFunc(game, this.player, Math.min(i + 2, last));
                 // Compute the return from the current episode.
-                totalReward = this.rewards[j] + this.discount * totalReward;
+                totalReward = reward + this.discount * totalReward;
                 // Upadte the mean return of the state/action pair.
                 this.Q.set(
                     key,
@@ -339,32 +871,33 @@ export class MonteCarloAgent extends EpsilonGreedyAgent {
                 );
                 // Update the number of episodes contributing the mean return update.
                 this.countQ.set(key, n + 1);
-                // Decrement reward storage index.
-                j -= 1;
-                xoLog(`key: ${key}, q: ${q}, Q: ${this.Q.get(key)}, n: ${this.countQ.get(key)}, \
-                       rewards: ${this.rewards}`);
+                logger.debug('agent', 'monteCarloUpdate', {
+                    key, oldQ: q, newQ: this.Q.get(key), count: n + 1, reward, return: totalReward,
+                });
             }
-            // Reset the rewards storage.
-            this.rewards = [];
+            this.episode += 1;
         }
     }
 }
 
 
 /**
- * Agent that performs temporal difference learning using Q-learning. To make the agent
- * learn more quickly, the agent learns off-policy from the its opponent's actions.
- * Learning is done offline at the end of the episode instead of online at intermediate
- * steps as is typically done because the implementation is simpler and the results are
- * equivalent because the agent cannot experience the same state multiple times in a
- * given episode. This uses an epsilon greedy policy.
+ * Base agent for agents that perform one-step temporal difference learning of the
+ * action-value function (Q-function). Learning is done offline at the end of the episode
+ * instead of online at intermediate steps as is typically done because the implementation
+ * is simpler and the results are equivalent because the agent cannot experience the same
+ * state multiple times in a given episode. Ancestors decide how to bootstrap from the
+ * next state (see futureValue(), or updateValue() to change the update itself) and which
+ * players' moves they may learn from (see learnsFrom()). The policy is that of
+ * EpsilonGreedyAgent.
  */
-export class QLearningAgent extends EpsilonGreedyAgent {
+class TemporalDifferenceAgent extends EpsilonGreedyAgent {
     /**
-     * Instantiate a Q-learning agent.
+     * Instantiate a temporal difference agent.
      * 
      * @param {string} player Agent's player token from 'X' and 'O'.
-     * @param {number} [epsilon=0.1] Probability of making a random valid move (epsilon greedy).  
+     * @param {number|Object} [epsilon=0.1] Probability of making a random valid move
+     *     (epsilon greedy), a schedule of it, or an exploration strategy.
      * @param {number} [discount=1.0] Reward discount factor. 
      * @param {number} [alpha=0.1] The learning rate. Must be >= 0.
      * @param {number} [defaultQ=0.0] Initial value of the Q function for any state/action pair. 
@@ -378,7 +911,76 @@ export class QLearningAgent extends EpsilonGreedyAgent {
     }
 
     /**
-     * Helper function that computes updates to the Q function.
+     * Describe the hyperparameters of this type of agent (see Agent.parameterSchema()).
+     * 
+     * @return {Array(Object)} Schema of each hyperparameter.
+     */
+    static parameterSchema() {
+        return super.parameterSchema().concat([
+            {name: 'discount', label: 'discount', type: 'number', min: 0.0, max: 1.0, default: 1.0},
+            {name: 'alpha', label: 'learning rate', type: 'number', min: 0.0, max: 1.0, default: 0.1},
+        ]);
+    }
+
+    /**
+     * Get the hyperparameters of the agent.
+     * 
+     * @return {Object} Map of hyperparameter names to values.
+     */
+    getHyperparameters() {
+        let hyperparameters = super.getHyperparameters();
+        hyperparameters.discount = this.discount;
+        hyperparameters.alpha = this.alpha;
+        return hyperparameters;
+    }
+
+    /**
+     * Estimate the value of the state at horizon for the player to move, used as the
+     * bootstrap target of the update.
+     * 
+     * @param {TicTacToe} game Instantiation of TicTacToe.
+     * @param {number} horizon Index of the next state in the game's stateHistory.
+     * @return {number} Estimated return from the state at horizon.
+     */
+    futureValue(game, horizon) {
+        /* This function must be implemented by ancestors. */
+        throw new NotImplementedError('Agent must implement futureValue().');
+    }
+
+    /**
+     * Move the value of Q for a state/action pair toward the reward plus the discounted
+     * value of the next state.
+     * 
+     * @param {string} key Q-function key of the state/action pair (see getKey()).
+     * @param {number} reward Reward received after the state/action pair.
+     * @param {TicTacToe} game Instantiation of TicTacToe.
+     * @param {number|null} horizon Index of the next state in the game's stateHistory, or
+     *     null when the state/action pair led to a terminal state.
+     * @param {number} index Index of the state/action pair in the game's stateHistory and
+     *     actionHistory.
+     * @return {Object} The oldQ, futureQ and newQ values of the update.
+     */
+    updateValue(key, reward, game, horizon, index) {
+        const oldQ = this.Q.has(key) ? this.Q.get(key) : this.defaultQ;
+        // There is no future return after a terminal state.
+        const futureQ = horizon == null ? 0.0 : this.futureValue(game, horizon);
+        const newQ = oldQ + this.alpha * (reward + this.discount * futureQ - oldQ);
+        this.Q.set(key, newQ);
+        return {oldQ, futureQ, newQ};
+    }
+
+    /**
+     * Get the players whose moves the agent may learn from.
+     * 
+     * @return {Array(string)} Player tokens from 'X' and 'O'.
+     */
+    learnsFrom() {
+        return ['X', 'O'];
+    }
+
+    /**
+     * Helper function that computes updates to the Q function. The number of updates of
+     * each state/action pair is counted in countQ (used by UCB exploration).
      * 
      * @param {TicTacToe} game Instantiation of TicTacToe.
      * @param {string} playerChoice A player token from 'X' and 'O'.
@@ -406,74 +1008,1837 @@ export class QLearningAgent extends EpsilonGreedyAgent {
             // Compute the reward on the resulting state after a back and forth.
             let reward = rewardFunc(game, playerChoice, i + 2);
 
-            // Get the value of Q at the initial state/action.
+            // Get the key of the initial state/action.
             let oldKey = this.getKey(
                 game.stateHistory[i],
                 game.actionHistory[i]
             );
-            let oldQ = this.Q.has(oldKey) ? this.Q.get(oldKey) : this.defaultQ;
-
-            // Take a greedy action on the next state (after a back and forth) and get
-            // the value of Q with the state/action pair.
-            let futureAction = this.policy(game, i + 2);
-            let futureKey = this.getKey(
-                game.stateHistory[i + 2],
-                futureAction
-            );
-            let futureQ = this.Q.has(futureKey) ? this.Q.get(futureKey) : this.defaultQ;
 
-            // Update the value of Q at the initial state.
-            this.Q.set(
-                oldKey,
-                oldQ + this.alpha * (reward + this.discount * futureQ - oldQ)
-            );
-            xoLog(`player: ${playerChoice}, oldKey: ${oldKey}, oldQ: ${oldQ}, futureKey: ${futureKey}, \
-                   futureQ: ${futureQ}, reward: ${reward}, newQ: ${this.Q.get(oldKey)}`);
+            // Update the value of Q at the initial state by bootstrapping from the next
+            // state (after a back and forth).
+            let {oldQ, futureQ, newQ} = this.updateValue(oldKey, reward, game, i + 2, i);
+            this.countQ.set(oldKey, (this.countQ.get(oldKey) || 0) + 1);
+            logger.debug('agent', 'qUpdate', {
+                player: playerChoice, key: oldKey, horizon: i + 2, oldQ, futureQ, reward, newQ,
+            });
         }
 
         // Compute the terminal reward.
         let terminalReward = rewardFunc(game, playerChoice, null);
 
-        // Get the key of the last state/action pair where playerChoice made a move and
-        // get the value of the Q function.
+        // Get the key of the last state/action pair where playerChoice made a move.
         let terminalKey = this.getKey(
             game.stateHistory[end],
             game.actionHistory[end]
         );
-        let terminalQ = this.Q.has(terminalKey) ? this.Q.get(terminalKey) : this.defaultQ;
 
         // Update the value of Q for the terminal state/action pair.
-        this.Q.set(
-            terminalKey,
-            terminalQ + this.alpha * (terminalReward - terminalQ)
-        );
-        xoLog(`player: ${playerChoice}, terminalKey: ${terminalKey}, terminalQ: ${terminalQ}, \
-               terminalReward: ${terminalReward}, newQ: ${this.Q.get(terminalKey)}`);
+        let {oldQ: terminalQ, futureQ, newQ} = this.updateValue(terminalKey, terminalReward, game, null, end);
+        this.countQ.set(terminalKey, (this.countQ.get(terminalKey) || 0) + 1);
+        logger.debug('agent', 'qUpdate', {
+            player: playerChoice, key: terminalKey, horizon: null, oldQ: terminalQ, futureQ,
+            reward: terminalReward, newQ,
+        });
     }
 
     /**
-     * Learn by trial and error using Q-learning. Take advantage of off-policy learning
-     * and also learn from the agent's opponent. Learning is done offline at the end
-     * of each episode.
+     * Learn by trial and error using temporal difference learning. Learning is done
+     * offline at the end of each episode.
      * 
      * @param {TicTacToe} game Instantiation of TicTacToe.
      * @param {*} rewardFunc Reward function that takes in game and player and
      *     returns a numeric reward.
      */
     learn(game, rewardFunc) {
+        this.setBoard(game);
         const outcome = game.checkTermination();
         if (outcome) {
-            // Game is complete.
-            // Swap out epsilon such that the policy is greedy.
-            const storeEpsilon = this.epsilon;
-            this.epsilon = -1.0;
+            // Game is complete. Learn from the trials of each permitted player.
+            for (let playerChoice of this.learnsFrom()) {
+                this.updateQ(game, playerChoice, rewardFunc);
+            }
+            this.episode += 1;
+        }
+    }
+}
+
+
+/**
+ * Agent that performs temporal difference learning using Q-learning. To make the agent
+ * learn more quickly, the agent learns off-policy from the its opponent's actions.
+ * 
+ * With experience replay, the transitions of both players are also kept in a bounded
+ * buffer (oldest dropped first), and after each game a number of them are sampled and
+ * learned from again, so that a rare position (e.g. a trap a human sprang once) is not
+ * learned from at only alpha strength. Transitions are sampled uniformly or in proportion
+ * to their last TD error raised to PRIORITY_EXPONENT. With prioritized sampling, new
+ * transitions get the highest priority in the buffer, so they are more likely to be
+ * replayed soon. Q-learning can replay old transitions because it learns off-policy.
+ */
+export class QLearningAgent extends TemporalDifferenceAgent {
+    /**
+     * Instantiate a Q-learning agent.
+     * 
+     * @param {string} player Agent's player token from 'X' and 'O'.
+     * @param {number|Object} [epsilon=0.1] Probability of making a random valid move
+     *     (epsilon greedy), a schedule of it, or an exploration strategy.
+     * @param {number} [discount=1.0] Reward discount factor. 
+     * @param {number} [alpha=0.1] The learning rate. Must be >= 0.
+     * @param {number} [defaultQ=0.0] Initial value of the Q function for any state/action pair. 
+     * @param {number} [replays=0] Number of transitions replayed after each game. 0 turns
+     *     experience replay off.
+     * @param {number} [replayBuffer=1000] Number of transitions kept for replay.
+     * @param {string} [replaySampling='uniform'] How transitions are sampled: 'uniform' or
+     *     'prioritized' (by TD error).
+     */
+    constructor(player, epsilon=0.1, discount=1.0, alpha=0.1, defaultQ=0.0, replays=0,
+                replayBuffer=1000, replaySampling='uniform') {
+        super(player, epsilon, discount, alpha, defaultQ);
+        this.replays = replays;
+        this.replayBuffer = replayBuffer;
+        this.replaySampling = replaySampling;
+        // Transitions kept for replay, oldest first, each with its board tag and priority.
+        this.replayMemory = [];
+    }
+
+    /**
+     * Describe the hyperparameters of this type of agent (see Agent.parameterSchema()).
+     * 
+     * @return {Array(Object)} Schema of each hyperparameter.
+     */
+    static parameterSchema() {
+        return super.parameterSchema().concat([
+            {name: 'replays', label: 'replayed moves per game', type: 'number', min: 0, max: 10000, default: 0},
+            {name: 'replayBuffer', label: 'replay buffer (moves)', type: 'number', min: 1, max: 100000, default: 1000},
+            {
+                name: 'replaySampling',
+                label: 'replay sampling',
+                type: 'choice',
+                options: {uniform: 'uniform', prioritized: 'prioritized by TD error'},
+                default: 'uniform',
+            },
+        ]);
+    }
+
+    /**
+     * Get the hyperparameters of the agent.
+     * 
+     * @return {Object} Map of hyperparameter names to values.
+     */
+    getHyperparameters() {
+        let hyperparameters = super.getHyperparameters();
+        hyperparameters.replays = this.replays;
+        hyperparameters.replayBuffer = this.replayBuffer;
+        hyperparameters.replaySampling = this.replaySampling;
+        return hyperparameters;
+    }
+
+    /**
+     * Set hyperparameters of the agent. Shrinking the replay buffer drops its oldest
+     * transitions.
+     * 
+     * @param {Object} hyperparameters Map of hyperparameter names to values.
+     */
+    setHyperparameters(hyperparameters) {
+        super.setHyperparameters(hyperparameters);
+        this.replayMemory = this.replayMemory.slice(-this.replayBuffer);
+    }
+
+    /**
+     * Bootstrap from the greedy action on the next state.
+     * 
+     * @param {TicTacToe} game Instantiation of TicTacToe.
+     * @param {number} horizon Index of the next state in the game's stateHistory.
+     * @return {number} Maximum value of Q over the valid actions at horizon.
+     */
+    futureValue(game, horizon) {
+        // Take a greedy action on the next state and get the value of Q with the
+        // state/action pair.
+        const state = game.stateHistory[horizon];
+        const futureAction = this.random.choice(this.greedyActions(state, game.getValidActions(horizon)));
+        return this.actionValue(state, futureAction);
+    }
+
+    /**
+     * Add to the value of a state/action pair.
+     * 
+     * @param {Array(string)} state State of the game board.
+     * @param {number} action Integer index of the action.
+     * @param {number} delta Amount added to the value.
+     */
+    adjustValue(state, action, delta) {
+        this.Q.set(this.getKey(state, action), this.actionValue(state, action) + delta);
+    }
+
+    /**
+     * Learn from a transition again with the Q-learning update.
+     * 
+     * @param {Object} transition A transition {state, action, reward, next, nextActions}
+     *     (see episodeTransitions()).
+     * @return {number} The TD error of the update.
+     */
+    replayTransition(transition) {
+        const {state, action, reward, next, nextActions} = transition;
+        let futureQ = 0.0;
+        if (next) {
+            futureQ = this.actionValue(next, this.random.choice(this.greedyActions(next, nextActions)));
+        }
+        const error = reward + this.discount * futureQ - this.actionValue(state, action);
+        this.adjustValue(state, action, this.alpha * error);
+        return error;
+    }
+
+    /**
+     * Add the transitions of both players in a finished game to the replay buffer.
+     * 
+     * @param {TicTacToe} game A finished game.
+     * @param {function} rewardFunc Reward function that takes in game and player and
+     *     returns a numeric reward.
+     */
+    remember(game, rewardFunc) {
+        const board = this.boardTag();
+        const priority = this.replayMemory.reduce((max, stored) => Math.max(max, stored.priority), 1.0);
+        for (let playerChoice of this.learnsFrom()) {
+            for (let transition of episodeTransitions(game, playerChoice, rewardFunc)) {
+                this.replayMemory.push(Object.assign(transition, {board, priority}));
+            }
+        }
+        this.replayMemory = this.replayMemory.slice(-this.replayBuffer);
+    }
+
+    /**
+     * Replay transitions on the current board sampled from the replay buffer, updating
+     * the priorities of the replayed transitions with their TD errors.
+     * 
+     * @return {Array(number)} The TD error of each replayed transition.
+     */
+    replay() {
+        const board = this.boardTag();
+        const transitions = this.replayMemory.filter((transition) => transition.board == board);
+        if (transitions.length === 0) {
+            return [];
+        }
+        // Cumulative sampling weights, searched by bisection for each sample. Priorities
+        // updated during the replay take effect after the game.
+        let cumulative = [];
+        let total = 0.0;
+        for (let transition of transitions) {
+            total += this.replaySampling == 'prioritized' ? Math.pow(transition.priority, PRIORITY_EXPONENT) : 1.0;
+            cumulative.push(total);
+        }
+        let errors = [];
+        for (let n = 0; n < this.replays; n++) {
+            const threshold = this.random.next() * total;
+            let low = 0;
+            let high = cumulative.length - 1;
+            while (low < high) {
+                const middle = Math.floor((low + high) / 2);
+                if (cumulative[middle] > threshold) {
+                    high = middle;
+                } else {
+                    low = middle + 1;
+                }
+            }
+            const transition = transitions[low];
+            const error = this.replayTransition(transition);
+            // A small floor keeps transitions with no error in the sample.
+            transition.priority = Math.abs(error) + 1.0e-3;
+            errors.push(error);
+        }
+        return errors;
+    }
+
+    /**
+     * Learn from a game as TemporalDifferenceAgent does and, with experience replay, add
+     * its transitions to the replay buffer and replay transitions from it.
+     * 
+     * @param {TicTacToe} game Instantiation of TicTacToe.
+     * @param {function} rewardFunc Reward function that takes in game and player and
+     *     returns a numeric reward.
+     */
+    learn(game, rewardFunc) {
+        super.learn(game, rewardFunc);
+        if (this.replays > 0 && game.checkTermination()) {
+            this.remember(game, rewardFunc);
+            const errors = this.replay();
+            logger.debug('agent', 'experienceReplay', {
+                episode: this.episode,
+                buffer: this.replayMemory.length,
+                replayed: errors.length,
+                meanError: errors.reduce((sum, error) => sum + Math.abs(error), 0.0) / (errors.length || 1),
+            });
+        }
+    }
+
+    /**
+     * Serialize the agent including its replay buffer.
+     * 
+     * @return {Object} Versioned representation of the agent (see Agent.load()).
+     */
+    save() {
+        let data = super.save();
+        data.replayMemory = this.replayMemory.map((transition) => Object.assign({}, transition));
+        return data;
+    }
+
+    /**
+     * Restore the agent including its replay buffer.
+     * 
+     * @param {Object|string} data Saved agent or its JSON string.
+     * @return {Object} The saved agent in the current format.
+     */
+    load(data) {
+        data = super.load(data);
+        this.replayMemory = (data.replayMemory || []).slice(-this.replayBuffer);
+        return data;
+    }
+
+    /**
+     * Forget everything the agent has learned including its replay buffer.
+     */
+    clear() {
+        super.clear();
+        this.replayMemory = [];
+    }
+}
+
+
+/**
+ * Agent that performs on-policy temporal difference learning using SARSA: the update
+ * bootstraps from the action that was actually taken in the next state. Since the target
+ * follows the behaviour that generated the episode, the agent only learns from its own
+ * moves; its opponent's moves follow a different policy.
+ */
+export class SarsaAgent extends TemporalDifferenceAgent {
+    /**
+     * Instantiate a SARSA agent.
+     * 
+     * @param {string} player Agent's player token from 'X' and 'O'.
+     * @param {number|Object} [epsilon=0.1] Probability of making a random valid move
+     *     (epsilon greedy), a schedule of it, or an exploration strategy.
+     * @param {number} [discount=1.0] Reward discount factor. 
+     * @param {number} [alpha=0.1] The learning rate. Must be >= 0.
+     * @param {number} [defaultQ=0.0] Initial value of the Q function for any state/action pair. 
+     */
+    constructor(player, epsilon=0.1, discount=1.0, alpha=0.1, defaultQ=0.0) {
+        super(player, epsilon, discount, alpha, defaultQ);
+    }
+
+    /**
+     * Bootstrap from the action taken on the next state.
+     * 
+     * @param {TicTacToe} game Instantiation of TicTacToe.
+     * @param {number} horizon Index of the next state in the game's stateHistory.
+     * @return {number} Value of Q for the state/action pair taken at horizon.
+     */
+    futureValue(game, horizon) {
+        const futureKey = this.getKey(
+            game.stateHistory[horizon],
+            game.actionHistory[horizon]
+        );
+        return this.Q.has(futureKey) ? this.Q.get(futureKey) : this.defaultQ;
+    }
+
+    /**
+     * SARSA only learns from the agent's own moves.
+     * 
+     * @return {Array(string)} The agent's player token.
+     */
+    learnsFrom() {
+        return [this.player];
+    }
+}
+
+
+/**
+ * Agent that performs temporal difference learning using Expected SARSA: the update
+ * bootstraps from the expected value of the next state under the agent's own exploration
+ * policy. Because the expectation does not depend on the action actually taken, the agent
+ * can also learn from its opponent's moves.
+ */
+export class ExpectedSarsaAgent extends TemporalDifferenceAgent {
+    /**
+     * Instantiate an Expected SARSA agent.
+     * 
+     * @param {string} player Agent's player token from 'X' and 'O'.
+     * @param {number|Object} [epsilon=0.1] Probability of making a random valid move
+     *     (epsilon greedy), a schedule of it, or an exploration strategy.
+     * @param {number} [discount=1.0] Reward discount factor. 
+     * @param {number} [alpha=0.1] The learning rate. Must be >= 0.
+     * @param {number} [defaultQ=0.0] Initial value of the Q function for any state/action pair. 
+     */
+    constructor(player, epsilon=0.1, discount=1.0, alpha=0.1, defaultQ=0.0) {
+        super(player, epsilon, discount, alpha, defaultQ);
+    }
+
+    /**
+     * Bootstrap from the expected value of Q on the next state under the agent's policy
+     * (see actionProbabilities()).
+     * 
+     * @param {TicTacToe} game Instantiation of TicTacToe.
+     * @param {number} horizon Index of the next state in the game's stateHistory.
+     * @return {number} Expected value of Q over the valid actions at horizon.
+     */
+    futureValue(game, horizon) {
+        const state = game.stateHistory[horizon];
+        const validActions = game.getValidActions(horizon);
+        const probabilities = this.actionProbabilities(state, validActions);
+
+        let expected = 0.0;
+        for (let [index, action] of validActions.entries()) {
+            const key = this.getKey(state, action);
+            expected += probabilities[index] * (this.Q.has(key) ? this.Q.get(key) : this.defaultQ);
+        }
+        return expected;
+    }
+}
+
+
+/**
+ * Agent that performs temporal difference learning using Double Q-learning to reduce the
+ * maximization bias of Q-learning. Two action-value functions (QA and QB) are learned;
+ * each update randomly picks one of them to update, using it to select the greedy action
+ * on the next state and the other to evaluate that action. The exploration policy acts
+ * on the average of both, which is kept in this.Q. Like QLearningAgent, the agent learns
+ * off-policy from its opponent's actions.
+ */
+export class DoubleQLearningAgent extends TemporalDifferenceAgent {
+    /**
+     * Instantiate a Double Q-learning agent.
+     * 
+     * @param {string} player Agent's player token from 'X' and 'O'.
+     * @param {number|Object} [epsilon=0.1] Probability of making a random valid move
+     *     (epsilon greedy), a schedule of it, or an exploration strategy.
+     * @param {number} [discount=1.0] Reward discount factor. 
+     * @param {number} [alpha=0.1] The learning rate. Must be >= 0.
+     * @param {number} [defaultQ=0.0] Initial value of the Q function for any state/action pair. 
+     */
+    constructor(player, epsilon=0.1, discount=1.0, alpha=0.1, defaultQ=0.0) {
+        super(player, epsilon, discount, alpha, defaultQ);
+        this.QA = new Map();
+        this.QB = new Map();
+    }
+
+    /**
+     * Update one randomly chosen action-value function, bootstrapping from the other, and
+     * refresh the average used by the policy.
+     * 
+     * @param {string} key Q-function key of the state/action pair (see getKey()).
+     * @param {number} reward Reward received after the state/action pair.
+     * @param {TicTacToe} game Instantiation of TicTacToe.
+     * @param {number|null} horizon Index of the next state in the game's stateHistory, or
+     *     null when the state/action pair led to a terminal state.
+     * @return {Object} The oldQ, futureQ and newQ values of the update to the chosen table.
+     */
+    updateValue(key, reward, game, horizon) {
+        const [update, other] = this.random.next() < 0.5 ? [this.QA, this.QB] : [this.QB, this.QA];
+        const oldQ = update.has(key) ? update.get(key) : this.defaultQ;
+
+        let futureQ = 0.0;
+        if (horizon != null) {
+            // Select the greedy action with the updated table and evaluate it with the
+            // other table.
+            const state = game.stateHistory[horizon];
+            const validActions = game.getValidActions(horizon);
+            const futureAction = this.random.choice(this.greedyActions(state, validActions, update));
+            const futureKey = this.getKey(state, futureAction);
+            futureQ = other.has(futureKey) ? other.get(futureKey) : this.defaultQ;
+        }
+
+        const newQ = oldQ + this.alpha * (reward + this.discount * futureQ - oldQ);
+        update.set(key, newQ);
+
+        // The policy acts on the average of both tables.
+        const qA = this.QA.has(key) ? this.QA.get(key) : this.defaultQ;
+        const qB = this.QB.has(key) ? this.QB.get(key) : this.defaultQ;
+        this.Q.set(key, (qA + qB) / 2.0);
+        return {oldQ, futureQ, newQ};
+    }
+
+    /**
+     * Serialize the agent including both action-value functions.
+     * 
+     * @return {Object} Versioned representation of the agent (see Agent.load()).
+     */
+    save() {
+        let data = super.save();
+        data.QA = Array.from(this.QA.entries());
+        data.QB = Array.from(this.QB.entries());
+        return data;
+    }
+
+    /**
+     * Upgrade a saved agent in format version 1 including both action-value functions.
+     * 
+     * @param {Object} data Saved agent in format version 1.
+     * @return {Object} A copy of data in the current format.
+     */
+    upgrade(data) {
+        let upgraded = super.upgrade(data);
+        upgraded.QA = Array.from(canonicalizeTable(data.QA).table.entries());
+        upgraded.QB = Array.from(canonicalizeTable(data.QB).table.entries());
+        return upgraded;
+    }
+
+    /**
+     * Restore the agent including both action-value functions.
+     * 
+     * @param {Object|string} data Saved agent or its JSON string.
+     * @return {Object} The saved agent in the current format.
+     */
+    load(data) {
+        data = super.load(data);
+        this.QA = new Map(data.QA);
+        this.QB = new Map(data.QB);
+        return data;
+    }
+
+    /**
+     * Forget everything the agent has learned in both action-value functions.
+     */
+    clear() {
+        super.clear();
+        this.QA = new Map();
+        this.QB = new Map();
+    }
+
+    /**
+     * Take over what another agent has learned, starting both action-value functions from
+     * its Q-function (or from its own pair of tables if it is a DoubleQLearningAgent).
+     * 
+     * @param {Agent} agent The agent whose action-value function is copied.
+     */
+    adoptTable(agent) {
+        super.adoptTable(agent);
+        this.QA = new Map(agent.QA || agent.Q);
+        this.QB = new Map(agent.QB || agent.Q);
+    }
+
+    /**
+     * Overwrite the learned value of a state/action pair in both action-value functions,
+     * so that their average keeps the value.
+     * 
+     * @param {string} key Key of the state/action pair (see getKey()).
+     * @param {number} value The new Q-value.
+     */
+    setValue(key, value) {
+        super.setValue(key, value);
+        this.QA.set(key, value);
+        this.QB.set(key, value);
+    }
+
+    /**
+     * Forget a state/action pair in both action-value functions.
+     * 
+     * @param {string} key Key of the state/action pair (see getKey()).
+     */
+    deleteEntry(key) {
+        super.deleteEntry(key);
+        this.QA.delete(key);
+        this.QB.delete(key);
+    }
+}
+
+
+/**
+ * Agent that learns from multi-step returns, covering the range between the one-step
+ * bootstrapping of QLearningAgent and SarsaAgent and the full returns of MonteCarloAgent.
+ * Like the other temporal difference agents, it learns once each game is over, from the
+ * sequence of each player's positions, moves and rewards (a move's reward is the reward
+ * after the opponent's reply). Three methods are available:
+ *
+ * - 'nStepQ': the target is the discounted sum of the next n rewards plus the discounted
+ *   value of the best move n positions later. Moves in between are not corrected for
+ *   exploration, so the target is biased toward the behaviour that produced the game when
+ *   n > 1. With n = 1 this is Q-learning; with n at least the length of the game it is the
+ *   full (Monte Carlo) return.
+ * - 'nStepSarsa': the same, bootstrapping from the move actually made n positions later.
+ *   It is on-policy, so the agent only learns from its own moves.
+ * - 'watkinsQ': Watkins's Q(lambda). Every one-step Q-learning error is also applied to
+ *   the earlier pairs of the game in proportion to their eligibility traces, which decay
+ *   by discount * lambda per move and are cut after a move that was not greedy. Traces
+ *   are kept under canonical keys (see getKey()), so symmetric pairs share one trace.
+ *   Accumulating traces add 1 each time a pair is visited; replacing traces reset to 1.
+ */
+export class MultiStepAgent extends TemporalDifferenceAgent {
+    /**
+     * Instantiate a multi-step agent.
+     * 
+     * @param {string} player Agent's player token from 'X' and 'O'.
+     * @param {number|Object} [epsilon=0.1] Probability of making a random valid move
+     *     (epsilon greedy), a schedule of it, or an exploration strategy.
+     * @param {number} [discount=1.0] Reward discount factor. 
+     * @param {number} [alpha=0.1] The learning rate. Must be >= 0.
+     * @param {number} [defaultQ=0.0] Initial value of the Q function for any state/action pair. 
+     * @param {string} [method='nStepQ'] 'nStepQ', 'nStepSarsa' or 'watkinsQ'.
+     * @param {number} [n=3] Number of rewards summed before bootstrapping (n-step methods).
+     * @param {number} [lambda=0.8] Trace decay of Watkins's Q(lambda), from 0.0 (Q-learning)
+     *     to 1.0.
+     * @param {string} [traces='accumulating'] Eligibility traces of Watkins's Q(lambda):
+     *     'accumulating' or 'replacing'.
+     */
+    constructor(player, epsilon=0.1, discount=1.0, alpha=0.1, defaultQ=0.0, method='nStepQ', n=3,
+                lambda=0.8, traces='accumulating') {
+        super(player, epsilon, discount, alpha, defaultQ);
+        this.method = method;
+        this.n = n;
+        this.lambda = lambda;
+        this.traces = traces;
+    }
+
+    /**
+     * Describe the hyperparameters of this type of agent (see Agent.parameterSchema()).
+     * 
+     * @return {Array(Object)} Schema of each hyperparameter.
+     */
+    static parameterSchema() {
+        return super.parameterSchema().concat([
+            {
+                name: 'method',
+                label: 'method',
+                type: 'choice',
+                options: {nStepQ: 'n-step Q-learning', nStepSarsa: 'n-step SARSA', watkinsQ: 'Watkins\'s Q(lambda)'},
+                default: 'nStepQ',
+            },
+            {name: 'n', label: 'steps (n)', type: 'number', min: 1, max: 100, default: 3},
+            {name: 'lambda', label: 'trace decay (lambda)', type: 'number', min: 0.0, max: 1.0, default: 0.8},
+            {
+                name: 'traces',
+                label: 'traces',
+                type: 'choice',
+                options: {accumulating: 'accumulating', replacing: 'replacing'},
+                default: 'accumulating',
+            },
+        ]);
+    }
+
+    /**
+     * Get the hyperparameters of the agent.
+     * 
+     * @return {Object} Map of hyperparameter names to values.
+     */
+    getHyperparameters() {
+        let hyperparameters = super.getHyperparameters();
+        hyperparameters.method = this.method;
+        hyperparameters.n = this.n;
+        hyperparameters.lambda = this.lambda;
+        hyperparameters.traces = this.traces;
+        return hyperparameters;
+    }
+
+    /**
+     * Get the players whose moves the agent may learn from: both for the off-policy
+     * methods, only its own for n-step SARSA.
+     * 
+     * @return {Array(string)} Player tokens from 'X' and 'O'.
+     */
+    learnsFrom() {
+        return this.method == 'nStepSarsa' ? [this.player] : ['X', 'O'];
+    }
+
+    /**
+     * Get the highest value of a move in a position.
+     * 
+     * @param {Array(string)} state State of the game board.
+     * @param {Array(number)} validActions Indices of the valid actions in state.
+     * @return {number} Maximum value of Q over the valid actions.
+     */
+    greedyValue(state, validActions) {
+        return this.actionValue(state, this.random.choice(this.greedyActions(state, validActions)));
+    }
+
+    /**
+     * Estimate the value of the position after a transition, from which the target of an
+     * update bootstraps: the value of the best move, or for n-step SARSA of the move made.
+     * 
+     * @param {Array(Object)} transitions A player's transitions (see episodeTransitions()).
+     * @param {number} t Index of the transition.
+     * @return {number} Value of the next position, 0.0 after the player's last move.
+     */
+    bootstrapValue(transitions, t) {
+        const {next, nextActions} = transitions[t];
+        if (!next) {
+            return 0.0;
+        }
+        if (this.method == 'nStepSarsa') {
+            return this.actionValue(next, transitions[t + 1].action);
+        }
+        return this.greedyValue(next, nextActions);
+    }
+
+    /**
+     * Learn from the moves of a player in a finished game with the chosen method. The
+     * number of updates of each state/action pair is counted in countQ (used by UCB
+     * exploration).
+     * 
+     * @param {TicTacToe} game Instantiation of TicTacToe.
+     * @param {string} playerChoice A player token from 'X' and 'O'.
+     * @param {function} rewardFunc Reward function that takes in game and player and
+     *     returns a numeric reward.
+     */
+    updateQ(game, playerChoice, rewardFunc) {
+        const transitions = episodeTransitions(game, playerChoice, rewardFunc);
+        for (let {state, action} of transitions) {
+            const key = this.getKey(state, action);
+            this.countQ.set(key, (this.countQ.get(key) || 0) + 1);
+        }
+        if (this.method == 'watkinsQ') {
+            this.updateTraces(transitions, playerChoice);
+        } else {
+            this.updateNStep(transitions, playerChoice);
+        }
+    }
+
+    /**
+     * Move the value of each pair toward its n-step return, in the order of play.
+     * 
+     * @param {Array(Object)} transitions A player's transitions (see episodeTransitions()).
+     * @param {string} playerChoice The player who made the moves.
+     */
+    updateNStep(transitions, playerChoice) {
+        for (let t = 0; t < transitions.length; t++) {
+            // Sum the rewards of up to n moves, then bootstrap unless the game ended.
+            const last = Math.min(t + this.n, transitions.length) - 1;
+            let target = 0.0;
+            let weight = 1.0;
+            for (let k = t; k <= last; k++) {
+                target += weight * transitions[k].reward;
+                weight *= this.discount;
+            }
+            target += weight * this.bootstrapValue(transitions, last);
+
+            const {state, action} = transitions[t];
+            const key = this.getKey(state, action);
+            const oldQ = this.actionValue(state, action);
+            const newQ = oldQ + this.alpha * (target - oldQ);
+            this.Q.set(key, newQ);
+            logger.debug('agent', 'nStepUpdate', {
+                player: playerChoice, key, steps: last - t + 1, oldQ, target, newQ,
+            });
+        }
+    }
+
+    /**
+     * Apply Watkins's Q(lambda) over the moves in the order of play.
+     * 
+     * @param {Array(Object)} transitions A player's transitions (see episodeTransitions()).
+     * @param {string} playerChoice The player who made the moves.
+     */
+    updateTraces(transitions, playerChoice) {
+        let traces = new Map();
+        for (let [t, transition] of transitions.entries()) {
+            const {state, action, reward, next, nextActions} = transition;
+            const key = this.getKey(state, action);
+            const error = reward + this.discount * this.bootstrapValue(transitions, t) -
+                          this.actionValue(state, action);
+            traces.set(key, this.traces == 'replacing' ? 1.0 : (traces.get(key) || 0.0) + 1.0);
+            for (let [tracedKey, trace] of traces) {
+                const oldQ = this.Q.has(tracedKey) ? this.Q.get(tracedKey) : this.defaultQ;
+                this.Q.set(tracedKey, oldQ + this.alpha * error * trace);
+            }
+            logger.debug('agent', 'traceUpdate', {player: playerChoice, key, reward, error, traced: traces.size});
+
+            if (next) {
+                // Decay the traces, or cut them after an exploratory (non-greedy) move.
+                const nextAction = transitions[t + 1].action;
+                if (this.greedyActions(next, nextActions).includes(nextAction)) {
+                    for (let [tracedKey, trace] of traces) {
+                        traces.set(tracedKey, this.discount * this.lambda * trace);
+                    }
+                } else {
+                    traces.clear();
+                }
+            }
+        }
+    }
+}
+
+
+/**
+ * Agent that represents the action-value function (Q-function) with a linear model over
+ * hand-crafted features of the board instead of a table, so that what it learns about one
+ * position carries over to positions it has never seen (and to other board sizes). The
+ * value of a state/action pair is the dot product of this.weights with the features of
+ * the position after the move, seen from the side of the player making it (see
+ * features()). The weights are learned by semi-gradient Q-learning from the same updates
+ * as QLearningAgent, learning off-policy from both players' moves. countQ still counts
+ * the updates of each state/action pair (used by UCB exploration) but this.Q stays empty.
+ */
+export class LinearQAgent extends QLearningAgent {
+    /**
+     * Instantiate a linear Q-learning agent.
+     * 
+     * @param {string} player Agent's player token from 'X' and 'O'.
+     * @param {number|Object} [epsilon=0.1] Probability of making a random valid move
+     *     (epsilon greedy), a schedule of it, or an exploration strategy.
+     * @param {number} [discount=1.0] Reward discount factor. 
+     * @param {number} [alpha=0.1] The learning rate. Must be >= 0.
+     * @param {number} [defaultQ=0.0] Initial value of every weight.
+     */
+    constructor(player, epsilon=0.1, discount=1.0, alpha=0.1, defaultQ=0.0) {
+        super(player, epsilon, discount, alpha, defaultQ);
+        this.weights = new Array(LinearQAgent.featureNames().length).fill(defaultQ);
+    }
+
+    /**
+     * Name the features in the order of features() and this.weights.
+     * 
+     * @return {Array(string)} Name of each feature.
+     */
+    static featureNames() {
+        return [
+            'bias',
+            'win',
+            'draw',
+            'threat',
+            'fork',
+            'opponent threat',
+            'opponent fork',
+            'block',
+            'open lines',
+            'opponent open lines',
+            'centre',
+            'corner',
+        ];
+    }
+
+    /**
+     * The weights of a linear model are not a table of Q-values.
+     * 
+     * @return {string} Name of the format.
+     */
+    static tableFormat() {
+        return 'linear';
+    }
+
+    /**
+     * Compute the features of a state/action pair from the position after the move, as
+     * seen by the player making it (the player to move in state):
+     *
+     * - bias: always 1.
+     * - win, draw: the move wins, or fills the board without a winner.
+     * - threat, fork: at least one (two for a fork) line is one piece short of winning
+     *   and holds no opponent pieces. On the classic board these are open twos.
+     * - opponent threat, opponent fork: the same for the opponent, which the move has
+     *   not blocked.
+     * - block: the move stops a line the opponent was one piece short of winning.
+     * - open lines, opponent open lines: fraction of lines holding pieces of one player
+     *   only.
+     * - centre, corner: the move is on a centre element (the middle element, or one of
+     *   the middle elements of a board with even sides) or a corner.
+     * 
+     * @param {Array(string)} state State of the game board.
+     * @param {number} action Integer index of the action to take.
+     * @return {Array(number)} Value of each feature (see featureNames()).
+     */
+    features(state, action) {
+        let xCount = 0;
+        let oCount = 0;
+        for (let element of state) {
+            if (element == 'X') {
+                xCount += 1;
+            } else if (element == 'O') {
+                oCount += 1;
+            }
+        }
+        const player = xCount == oCount ? 'X' : 'O';
+        const lines = TicTacToe.winningLines(this.width, this.height, this.winLength);
+        let win = false;
+        let threats = 0;
+        let opponentThreats = 0;
+        let block = false;
+        let openLines = 0;
+        let opponentOpenLines = 0;
+        for (let line of lines) {
+            let own = 0;
+            let opponent = 0;
+            for (let index of line) {
+                const element = index == action ? player : state[index];
+                if (element == player) {
+                    own += 1;
+                } else if (element == 'X' || element == 'O') {
+                    opponent += 1;
+                }
+            }
+            if (own == this.winLength) {
+                win = true;
+            }
+            if (opponent == 0 && own > 0) {
+                openLines += 1;
+                if (own == this.winLength - 1) {
+                    threats += 1;
+                }
+            } else if (own == 0 && opponent > 0) {
+                opponentOpenLines += 1;
+                if (opponent == this.winLength - 1) {
+                    opponentThreats += 1;
+                }
+            } else if (own == 1 && opponent == this.winLength - 1 && line.includes(action)) {
+                block = true;
+            }
+        }
+
+        const {row, col} = TicTacToe.roll(action, this.width);
+        const centre = (
+            Math.abs(row - (this.height - 1) / 2) <= 0.5 &&
+            Math.abs(col - (this.width - 1) / 2) <= 0.5
+        );
+        const corner = (row == 0 || row == this.height - 1) && (col == 0 || col == this.width - 1);
+        const full = xCount + oCount + 1 == state.length;
+        return [
+            1,
+            win ? 1 : 0,
+            !win && full ? 1 : 0,
+            threats >= 1 ? 1 : 0,
+            threats >= 2 ? 1 : 0,
+            opponentThreats >= 1 ? 1 : 0,
+            opponentThreats >= 2 ? 1 : 0,
+            block ? 1 : 0,
+            lines.length > 0 ? openLines / lines.length : 0,
+            lines.length > 0 ? opponentOpenLines / lines.length : 0,
+            centre ? 1 : 0,
+            corner ? 1 : 0,
+        ];
+    }
+
+    /**
+     * Get the value of a state/action pair according to the linear model.
+     * 
+     * @param {Array(string)} state State of the game board.
+     * @param {number} action Integer index of the action to take.
+     * @return {number} The value of the state/action pair.
+     */
+    actionValue(state, action) {
+        const features = this.features(state, action);
+        return features.reduce((sum, feature, index) => sum + this.weights[index] * feature, 0.0);
+    }
+
+    /**
+     * Get the valid actions that have maximum value according to the linear model.
+     * 
+     * @param {Array(string)} state State of the game board.
+     * @param {Array(number)} validActions Indices of the valid actions in state.
+     * @return {Array(number)} Indices of the actions with maximum value.
+     */
+    greedyActions(state, validActions) {
+        let maxVal = -Infinity;
+        let bestActions = [];
+        for (let action of validActions) {
+            const val = this.actionValue(state, action);
+            if (val > maxVal - 1.0e-4 && val < maxVal + 1.0e-4) {
+                bestActions.push(action);
+            } else if (val > maxVal) {
+                maxVal = val;
+                bestActions = [action];
+            }
+        }
+        return bestActions;
+    }
+
+    /**
+     * Move the weights along the features of a state/action pair so that its value moves
+     * toward the reward plus the discounted value of the next state (a semi-gradient step:
+     * the target is treated as a constant).
+     * 
+     * @param {string} key Q-function key of the state/action pair (unused).
+     * @param {number} reward Reward received after the state/action pair.
+     * @param {TicTacToe} game Instantiation of TicTacToe.
+     * @param {number|null} horizon Index of the next state in the game's stateHistory, or
+     *     null when the state/action pair led to a terminal state.
+     * @param {number} index Index of the state/action pair in the game's stateHistory and
+     *     actionHistory.
+     * @return {Object} The oldQ, futureQ and newQ values of the update.
+     */
+    updateValue(key, reward, game, horizon, index) {
+        const state = game.stateHistory[index];
+        const action = game.actionHistory[index];
+        const features = this.features(state, action);
+        const oldQ = this.actionValue(state, action);
+        const futureQ = horizon == null ? 0.0 : this.futureValue(game, horizon);
+        const error = reward + this.discount * futureQ - oldQ;
+        for (let [i, feature] of features.entries()) {
+            this.weights[i] += this.alpha * error * feature;
+        }
+        return {oldQ, futureQ, newQ: this.actionValue(state, action)};
+    }
+
+    /**
+     * Move the weights by delta along the features of a state/action pair (a
+     * semi-gradient step, as in updateValue(), of size delta rather than alpha times the
+     * TD error).
+     * 
+     * @param {Array(string)} state State of the game board.
+     * @param {number} action Integer index of the action.
+     * @param {number} delta Step of the update.
+     */
+    adjustValue(state, action, delta) {
+        for (let [i, feature] of this.features(state, action).entries()) {
+            this.weights[i] += delta * feature;
+        }
+    }
+
+    /**
+     * Get the weights of the linear model by feature name for inspection.
+     * 
+     * @return {Object} Map of feature names to weights.
+     */
+    getWeights() {
+        let weights = {};
+        for (let [index, name] of LinearQAgent.featureNames().entries()) {
+            weights[name] = this.weights[index];
+        }
+        return weights;
+    }
+
+    /**
+     * Serialize the agent including the weights of its linear model.
+     * 
+     * @return {Object} Versioned representation of the agent (see Agent.load()).
+     */
+    save() {
+        let data = super.save();
+        data.weights = this.weights.slice();
+        return data;
+    }
+
+    /**
+     * Restore the agent including the weights of its linear model.
+     * 
+     * @param {Object|string} data Saved agent or its JSON string.
+     * @return {Object} The saved agent in the current format.
+     */
+    load(data) {
+        data = super.load(data);
+        if (!Array.isArray(data.weights) || data.weights.length != this.weights.length) {
+            throw new IncompatibleAgentError(`Saved agent has ${data.weights && data.weights.length}` +
+                                             ` weights but ${this.weights.length} are required.`);
+        }
+        this.weights = data.weights.slice();
+        return data;
+    }
+
+    /**
+     * Forget everything the agent has learned including the weights of its linear model.
+     */
+    clear() {
+        super.clear();
+        this.weights = new Array(this.weights.length).fill(this.defaultQ);
+    }
+}
+
+
+/**
+ * Agent that represents the action-value function (Q-function) with a small neural network
+ * (see network.js): the board, encoded from the side of the player to move (1 for its own
+ * pieces, -1 for the opponent's and 0 for empty elements), goes in and a value for every
+ * element of the board comes out. Only the values of valid actions are used by the policy.
+ * Each board size has its own network.
+ * 
+ * After every game, the agent stores the transitions of both players (as QLearningAgent
+ * learns from both) and trains the network on minibatches sampled from the most recent
+ * games, toward the Q-learning target: the reward plus the discounted maximum value of the
+ * player's next position. With a target network, those maximum values come from a copy of
+ * the network that is only refreshed every few games, which keeps the target from chasing
+ * the network being trained.
+ */
+export class NeuralQAgent extends EpsilonGreedyAgent {
+    /**
+     * Instantiate a neural Q-learning agent.
+     * 
+     * @param {string} player Agent's player token from 'X' and 'O'.
+     * @param {number|Object} [epsilon=0.1] Probability of making a random valid move
+     *     (epsilon greedy), a schedule of it, or an exploration strategy.
+     * @param {number} [discount=1.0] Reward discount factor.
+     * @param {number} [alpha=0.005] Learning rate of the optimizer.
+     * @param {number} [hidden=32] Number of units of the hidden layer.
+     * @param {string} [optimizer='adam'] Optimizer: 'adam' or 'sgd'.
+     * @param {number} [batchSize=32] Number of transitions in each minibatch.
+     * @param {number} [updates=8] Number of minibatch updates after each game.
+     * @param {number} [memory=50] Number of recent games whose transitions are sampled.
+     * @param {number} [targetUpdate=10] Number of games between refreshes of the target
+     *     network, or 0 to bootstrap from the network being trained.
+     */
+    constructor(player, epsilon=0.1, discount=1.0, alpha=0.005, hidden=32, optimizer='adam',
+                batchSize=32, updates=8, memory=50, targetUpdate=10) {
+        super(player, epsilon, 0.0);
+        this.discount = discount;
+        this.alpha = alpha;
+        this.hidden = hidden;
+        this.optimizer = optimizer;
+        this.batchSize = batchSize;
+        this.updates = updates;
+        this.memory = memory;
+        this.targetUpdate = targetUpdate;
+        // Network, target network and optimizer of each board, keyed by board tag.
+        this.networks = new Map();
+        // Transitions of the most recent games, oldest first.
+        this.recentGames = [];
+    }
+
+    /**
+     * Describe the hyperparameters of this type of agent (see Agent.parameterSchema()).
+     * 
+     * @return {Array(Object)} Schema of each hyperparameter.
+     */
+    static parameterSchema() {
+        return super.parameterSchema().concat([
+            {name: 'discount', label: 'discount', type: 'number', min: 0.0, max: 1.0, default: 1.0},
+            {name: 'alpha', label: 'learning rate', type: 'number', min: 0.0, max: 1.0, default: 0.005},
+            {name: 'hidden', label: 'hidden units', type: 'number', min: 1, max: 256, default: 32},
+            {
+                name: 'optimizer',
+                label: 'optimizer',
+                type: 'choice',
+                options: {adam: 'Adam', sgd: 'SGD'},
+                default: 'adam',
+            },
+            {name: 'batchSize', label: 'minibatch size', type: 'number', min: 1, max: 1024, default: 32},
+            {name: 'updates', label: 'updates per game', type: 'number', min: 0, max: 1000, default: 8},
+            {name: 'memory', label: 'games remembered', type: 'number', min: 1, max: 10000, default: 50},
+            {name: 'targetUpdate', label: 'target network refresh (games)', type: 'number', min: 0, max: 10000, default: 10},
+        ]);
+    }
+
+    /**
+     * The weights of a neural network are not a table of Q-values.
+     * 
+     * @return {string} Name of the format.
+     */
+    static tableFormat() {
+        return 'neural';
+    }
+
+    /**
+     * Get the hyperparameters of the agent.
+     * 
+     * @return {Object} Map of hyperparameter names to values.
+     */
+    getHyperparameters() {
+        let hyperparameters = super.getHyperparameters();
+        hyperparameters.discount = this.discount;
+        hyperparameters.alpha = this.alpha;
+        hyperparameters.hidden = this.hidden;
+        hyperparameters.optimizer = this.optimizer;
+        hyperparameters.batchSize = this.batchSize;
+        hyperparameters.updates = this.updates;
+        hyperparameters.memory = this.memory;
+        hyperparameters.targetUpdate = this.targetUpdate;
+        return hyperparameters;
+    }
+
+    /**
+     * Set hyperparameters of the agent. Changing the number of hidden units replaces the
+     * networks with untrained ones; changing the optimizer or learning rate restarts the
+     * optimizers.
+     * 
+     * @param {Object} hyperparameters Map of hyperparameter names to values.
+     */
+    setHyperparameters(hyperparameters) {
+        const {hidden, optimizer, alpha} = this;
+        super.setHyperparameters(hyperparameters);
+        if (this.hidden != hidden) {
+            this.networks = new Map();
+        } else if (this.optimizer != optimizer || this.alpha != alpha) {
+            for (let entry of this.networks.values()) {
+                entry.optimizer = this.createOptimizer();
+            }
+        }
+        this.recentGames = this.recentGames.slice(-this.memory);
+    }
+
+    /**
+     * Create an optimizer as chosen by the hyperparameters.
+     * 
+     * @return {Object} An SGD or Adam optimizer (see network.js).
+     */
+    createOptimizer() {
+        return this.optimizer == 'sgd' ? new SGD(this.alpha) : new Adam(this.alpha);
+    }
+
+    /**
+     * Get the network, target network and optimizer of the agent's current board,
+     * creating them if the agent has not played on the board before.
+     * 
+     * @return {Object} The network (online), target network (target) and optimizer.
+     */
+    network() {
+        const board = this.boardTag();
+        if (!this.networks.has(board)) {
+            const size = this.width * this.height;
+            const online = new MultilayerPerceptron([size, this.hidden, size], 'tanh', this.random);
+            this.networks.set(board, {online, target: online.clone(), optimizer: this.createOptimizer()});
+        }
+        return this.networks.get(board);
+    }
+
+    /**
+     * Encode a state from the side of the player to move: 1 for its pieces, -1 for its
+     * opponent's pieces and 0 for empty elements.
+     * 
+     * @param {Array(string)} state State of the game board.
+     * @return {Array(number)} Input of the network.
+     */
+    encode(state) {
+        let xCount = 0;
+        let oCount = 0;
+        for (let element of state) {
+            if (element == 'X') {
+                xCount += 1;
+            } else if (element == 'O') {
+                oCount += 1;
+            }
+        }
+        const player = xCount == oCount ? 'X' : 'O';
+        return state.map((element) => {
+            if (element == player) {
+                return 1.0;
+            }
+            return element == 'X' || element == 'O' ? -1.0 : 0.0;
+        });
+    }
+
+    /**
+     * Get the values of every action in a state.
+     * 
+     * @param {Array(string)} state State of the game board.
+     * @param {boolean} [target=false] Use the target network instead of the network being
+     *     trained.
+     * @return {Array(number)} Value of each action, including invalid ones.
+     */
+    qValues(state, target=false) {
+        const entry = this.network();
+        return (target ? entry.target : entry.online).predict(this.encode(state));
+    }
+
+    /**
+     * Get the value of a state/action pair according to the network.
+     * 
+     * @param {Array(string)} state State of the game board.
+     * @param {number} action Integer index of the action to take.
+     * @return {number} The value of the state/action pair.
+     */
+    actionValue(state, action) {
+        return this.qValues(state)[action];
+    }
+
+    /**
+     * Get the probability of the policy taking each valid action in a state. Invalid
+     * actions are left out whatever their value.
+     * 
+     * @param {Array(string)} state State of the game board.
+     * @param {Array(number)} validActions Indices of the valid actions in state.
+     * @return {Array(number)} Probabilities aligned with validActions.
+     */
+    actionProbabilities(state, validActions) {
+        const outputs = this.qValues(state);
+        const values = validActions.map((action) => outputs[action]);
+        const counts = validActions.map((action) => this.countQ.get(this.getKey(state, action)) || 0);
+        return this.exploration.probabilities(values, counts, this.episode);
+    }
+
+    /**
+     * Get the valid actions that have maximum value according to the network.
+     * 
+     * @param {Array(string)} state State of the game board.
+     * @param {Array(number)} validActions Indices of the valid actions in state.
+     * @return {Array(number)} Indices of the actions with maximum value.
+     */
+    greedyActions(state, validActions) {
+        const outputs = this.qValues(state);
+        let maxVal = -Infinity;
+        let bestActions = [];
+        for (let action of validActions) {
+            const val = outputs[action];
+            if (val > maxVal - 1.0e-4 && val < maxVal + 1.0e-4) {
+                bestActions.push(action);
+            } else if (val > maxVal) {
+                maxVal = val;
+                bestActions = [action];
+            }
+        }
+        return bestActions;
+    }
+
+    /**
+     * Collect the transitions of one player in a finished game (see the module's
+     * episodeTransitions()). The number of times each state/action pair is learned from
+     * is counted in countQ (used by UCB exploration).
+     * 
+     * @param {TicTacToe} game A finished game.
+     * @param {string} playerChoice A player token from 'X' and 'O'.
+     * @param {function} rewardFunc Reward function that takes in game and player and
+     *     returns a numeric reward.
+     * @return {Array(Object)} The player's transitions.
+     */
+    episodeTransitions(game, playerChoice, rewardFunc) {
+        const transitions = episodeTransitions(game, playerChoice, rewardFunc);
+        for (let {state, action} of transitions) {
+            const key = this.getKey(state, action);
+            this.countQ.set(key, (this.countQ.get(key) || 0) + 1);
+        }
+        return transitions;
+    }
+
+    /**
+     * Train the network of the current board on minibatches of transitions sampled
+     * uniformly from the recent games on that board, minimizing the squared difference
+     * between the value of each move and its Q-learning target.
+     */
+    replay() {
+        const board = this.boardTag();
+        let transitions = [];
+        for (let recent of this.recentGames) {
+            if (recent.board == board) {
+                transitions.push(...recent.transitions);
+            }
+        }
+        if (transitions.length === 0) {
+            return;
+        }
+        const entry = this.network();
+        const bootstrap = this.targetUpdate > 0 ? entry.target : entry.online;
+        for (let update = 0; update < this.updates; update++) {
+            const size = Math.min(this.batchSize, transitions.length);
+            let gradients = entry.online.zeros();
+            for (let n = 0; n < size; n++) {
+                const transition = this.random.choice(transitions);
+                let target = transition.reward;
+                if (transition.next) {
+                    const outputs = bootstrap.predict(this.encode(transition.next));
+                    target += this.discount * Math.max(...transition.nextActions.map((action) => outputs[action]));
+                }
+                const layers = entry.online.forward(this.encode(transition.state));
+                const outputs = layers[layers.length - 1];
+                let outputGradient = new Array(outputs.length).fill(0.0);
+                // Gradient of the mean of 0.5 * (value - target)^2 over the minibatch.
+                outputGradient[transition.action] = (outputs[transition.action] - target) / size;
+                entry.online.gradients(layers, outputGradient, gradients);
+            }
+            entry.optimizer.step(entry.online, gradients);
+        }
+    }
+
+    /**
+     * Learn from a finished game: remember the transitions of both players, train the
+     * network on recent games and refresh the target networks when due.
+     * 
+     * @param {TicTacToe} game Instantiation of TicTacToe.
+     * @param {function} rewardFunc Reward function that takes in game and player and
+     *     returns a numeric reward.
+     */
+    learn(game, rewardFunc) {
+        this.setBoard(game);
+        if (!game.checkTermination()) {
+            return;
+        }
+        let transitions = [];
+        for (let playerChoice of ['X', 'O']) {
+            transitions.push(...this.episodeTransitions(game, playerChoice, rewardFunc));
+        }
+        this.recentGames.push({board: this.boardTag(), transitions});
+        this.recentGames = this.recentGames.slice(-this.memory);
+        this.replay();
+        this.episode += 1;
+        if (this.targetUpdate > 0 && this.episode % this.targetUpdate === 0) {
+            for (let entry of this.networks.values()) {
+                entry.target.copyFrom(entry.online);
+            }
+        }
+        logger.debug('agent', 'replay', {episode: this.episode, transitions: transitions.length});
+    }
+
+    /**
+     * Serialize the agent including its networks. Target networks, optimizer state and
+     * recent games are not saved.
+     * 
+     * @return {Object} Versioned representation of the agent (see Agent.load()).
+     */
+    save() {
+        let data = super.save();
+        data.networks = Array.from(this.networks.entries()).map(
+            ([board, entry]) => [board, entry.online.toJSON()]
+        );
+        return data;
+    }
+
+    /**
+     * Restore the agent including its networks. Target networks start as copies of the
+     * restored networks.
+     * 
+     * @param {Object|string} data Saved agent or its JSON string.
+     * @return {Object} The saved agent in the current format.
+     */
+    load(data) {
+        data = super.load(data);
+        this.networks = new Map();
+        for (let [board, network] of data.networks || []) {
+            const online = MultilayerPerceptron.fromJSON(network);
+            this.networks.set(board, {online, target: online.clone(), optimizer: this.createOptimizer()});
+        }
+        this.recentGames = [];
+        return data;
+    }
+
+    /**
+     * Forget everything the agent has learned including its networks and recent games.
+     */
+    clear() {
+        super.clear();
+        this.networks = new Map();
+        this.recentGames = [];
+    }
+}
+
+
+/**
+ * Agent that plays perfectly by searching the full game tree with negamax and alpha-beta
+ * pruning. The search is only practical on small boards (e.g. 3x3). Values of searched
+ * positions are kept in a transposition table keyed by the symmetry-aware hash of the
+ * board so that equivalent positions are only searched once. A win is worth more the
+ * sooner it happens (and a loss the later it happens) so the agent wins quickly and
+ * delays defeat. Ties between equally good moves are broken randomly. MinimaxAgent does
+ * not learn.
+ */
+export class MinimaxAgent extends Agent {
+    /**
+     * Instantiate a MinimaxAgent agent.
+     * 
+     * @param {string} player Agent's player token from 'X' and 'O'.
+     */
+    constructor(player) {
+        super(player);
+        this.table = new Map();
+    }
+
+    /**
+     * Compute the negamax value of a game from the perspective of the player to move.
+     * 
+     * @param {TicTacToe} game A TicTacToe instance that may be modified freely.
+     * @param {number} alpha Lower bound of the search window.
+     * @param {number} beta Upper bound of the search window.
+     * @return {number} Positive when the player to move wins, negative when it loses and 0
+     *     for a draw.
+     */
+    negamax(game, alpha, beta) {
+        const outcome = game.checkTermination();
+        if (outcome == 'draw') {
+            return 0;
+        } else if (outcome) {
+            // The previous player won. Earlier wins leave more empty elements.
+            return -(1 + game.getValidActions().length);
+        }
+
+        // Positions on boards of different shapes or win lengths must not share entries.
+        const key = `${game.width},${game.height},${game.winLength}:` +
+                    Agent._canonicalHash(game.state, game.width, game.height);
+        const alphaOrig = alpha;
+        if (this.table.has(key)) {
+            const entry = this.table.get(key);
+            if (entry.flag == 'exact') {
+                return entry.value;
+            } else if (entry.flag == 'lower') {
+                alpha = Math.max(alpha, entry.value);
+            } else {
+                beta = Math.min(beta, entry.value);
+            }
+            if (alpha >= beta) {
+                return entry.value;
+            }
+        }
+
+        let value = -Infinity;
+        for (let action of game.getValidActions()) {
+            let child = game.clone();
+            child.move(action);
+            value = Math.max(value, -this.negamax(child, -beta, -alpha));
+            alpha = Math.max(alpha, value);
+            if (alpha >= beta) {
+                // The opponent will never allow this line; prune remaining actions.
+                break;
+            }
+        }
+
+        // Store the value along with whether it is exact or only a bound.
+        let flag = 'exact';
+        if (value <= alphaOrig) {
+            flag = 'upper';
+        } else if (value >= beta) {
+            flag = 'lower';
+        }
+        this.table.set(key, {value, flag});
+        return value;
+    }
+
+    /**
+     * Compute the exact value of every valid action from the perspective of the player to
+     * move.
+     * 
+     * @param {TicTacToe} game Instance of TicTacToe.
+     * @param {number|null} [horizon=null] When horizon is null, evaluate the latest state.
+     *     If horizon is an integer, evaluate the game's stateHistory indexed by horizon.
+     * @return {Map(number, number)} Map of action index to negamax value.
+     */
+    actionValues(game, horizon=null) {
+        const root = game.clone(horizon);
+        let values = new Map();
+        for (let action of root.getValidActions()) {
+            let child = root.clone();
+            child.move(action);
+            values.set(action, -this.negamax(child, -Infinity, Infinity));
+        }
+        return values;
+    }
+
+    /**
+     * Choose an optimal action given the current state of the board.
+     * 
+     * @param {TicTacToe} game Instance of TicTacToe.
+     * @param {number|null} [horizon=null] When horizon is null, apply policy to latest state.
+     *     If horizon is an integer, apply policy to game's stateHistory indexed by horizon.
+     * @return {number} Integer index representing the action taken in [0, width * height).
+     */
+    policy(game, horizon=null) {
+        if (horizon == null && this.player != game.currentPlayer) {
+            throw new MisalignedPlayerError(`Agent should be player ${this.player} but it is` +
+                                            ` player ${game.currentPlayer}'s turn.`);
+        }
+        const values = this.actionValues(game, horizon);
+        if (values.size === 0) {
+            throw new InvalidActionError('There is nowhere left to make a move!');
+        }
+        const maxVal = Math.max(...values.values());
+        let bestActions = [];
+        for (let [action, value] of values.entries()) {
+            if (value === maxVal) {
+                bestActions.push(action);
+            }
+        }
+        return this.random.choice(bestActions);
+    }
+}
+
+
+/**
+ * Agent that chooses moves by Monte Carlo tree search with the UCT selection rule. Each
+ * search starts from the current position and repeats a number of iterations (or runs
+ * until a time limit): descend the tree choosing the child with the largest upper
+ * confidence bound, expand the leaf, finish the game with a rollout and back the outcome
+ * up the path. The most visited move is played. Strength is tuned with the iteration
+ * budget and time limit.
+ * 
+ * Rollouts make random moves, or follow the policy of a guide agent (see setGuide()). The
+ * Q-values the guide has learned also seed new nodes as if they had been visited
+ * priorWeight times, so that search starts from what the guide believes. The tree is
+ * built afresh for every move and MCTSAgent does not learn.
+ */
+export class MCTSAgent extends Agent {
+    /**
+     * Instantiate a MCTSAgent agent.
+     * 
+     * @param {string} player Agent's player token from 'X' and 'O'.
+     * @param {number} [iterations=1000] Number of iterations of each search, or 0 to search
+     *     until the time limit.
+     * @param {number} [timeLimit=0] Maximum milliseconds of each search, or 0 for no limit.
+     * @param {number} [c=1.4] Weight of the exploration term of the upper confidence bound.
+     * @param {string} [rollout='random'] Rollout policy: 'random' or 'policy' (the guide
+     *     agent's policy, or random moves when there is no guide).
+     * @param {Agent} [guide=null] Agent whose policy and Q-values guide the search.
+     * @param {number} [priorWeight=10] Number of visits the guide's Q-value of a move is
+     *     worth when its node is created (0 to ignore the Q-values).
+     */
+    constructor(player, iterations=1000, timeLimit=0, c=1.4, rollout='random', guide=null, priorWeight=10) {
+        super(player);
+        this.iterations = iterations;
+        this.timeLimit = timeLimit;
+        this.c = c;
+        this.rollout = rollout;
+        this.priorWeight = priorWeight;
+        this.guide = guide;
+    }
+
+    /**
+     * Describe the hyperparameters of this type of agent (see Agent.parameterSchema()).
+     * 
+     * @return {Array(Object)} Schema of each hyperparameter.
+     */
+    static parameterSchema() {
+        return super.parameterSchema().concat([
+            {name: 'iterations', label: 'iterations', type: 'number', min: 0, max: 100000, default: 1000},
+            {name: 'timeLimit', label: 'time limit (ms)', type: 'number', min: 0, max: 10000, default: 0},
+            {name: 'c', label: 'exploration (c)', type: 'number', min: 0.0, max: 10.0, default: 1.4},
+            {
+                name: 'rollout',
+                label: 'rollouts',
+                type: 'choice',
+                options: {random: 'random', policy: 'guided by learned policy'},
+                default: 'random',
+            },
+            {name: 'priorWeight', label: 'prior weight', type: 'number', min: 0, max: 1000, default: 10},
+        ]);
+    }
+
+    /**
+     * Get the hyperparameters of the agent.
+     * 
+     * @return {Object} Map of hyperparameter names to values.
+     */
+    getHyperparameters() {
+        let hyperparameters = super.getHyperparameters();
+        hyperparameters.iterations = this.iterations;
+        hyperparameters.timeLimit = this.timeLimit;
+        hyperparameters.c = this.c;
+        hyperparameters.rollout = this.rollout;
+        hyperparameters.priorWeight = this.priorWeight;
+        return hyperparameters;
+    }
+
+    /**
+     * Guide the search with another agent: its policy makes the moves of 'policy'
+     * rollouts and, if it has a Q-table, its Q-values seed new nodes. The guide is not
+     * saved with the agent.
+     * 
+     * @param {Agent|null} guide The guide agent, or null to search unguided.
+     */
+    setGuide(guide) {
+        this.guide = guide;
+    }
+
+    /**
+     * Make every random choice of the agent, and of its guide if it has one, with a
+     * generator.
+     * 
+     * @param {Random} random Random number generator (see random.js).
+     */
+    setRandom(random) {
+        super.setRandom(random);
+        if (this.guide) {
+            this.guide.setRandom(random);
+        }
+    }
+
+    /**
+     * Create a node of the search tree for the position after a move.
+     * 
+     * @param {string} player Player token of the player who made the move.
+     * @param {number|null} action Index of the move (null for the root).
+     * @param {number} [visits=0] Initial number of visits.
+     * @param {number} [total=0] Initial sum of the outcomes backed up through the node.
+     * @return {Object} The node.
+     */
+    static _node(player, action, visits=0, total=0) {
+        return {player, action, visits, total, children: null};
+    }
+
+    /**
+     * Create the children of a node, one for each valid move in the position of game.
+     * When the guide has a Q-table, each child starts with priorWeight visits valued at
+     * the guide's Q-value of the move.
+     * 
+     * @param {Object} node Node of the position of game.
+     * @param {TicTacToe} game Game in the position of node.
+     */
+    expand(node, game) {
+        const mover = game.currentPlayer;
+        const prior = this.guide && this.guide.Q && this.priorWeight > 0;
+        if (prior) {
+            this.guide.setBoard(game);
+        }
+        node.children = [];
+        for (let action of game.getValidActions()) {
+            let visits = 0;
+            let total = 0;
+            if (prior) {
+                const key = this.guide.getKey(game.state, action);
+                if (this.guide.Q.has(key)) {
+                    visits = this.priorWeight;
+                    total = this.priorWeight * this.guide.Q.get(key);
+                }
+            }
+            node.children.push(MCTSAgent._node(mover, action, visits, total));
+        }
+    }
+
+    /**
+     * Choose the child of a node with the largest upper confidence bound. Children that
+     * have never been visited are chosen first. Ties are broken randomly.
+     * 
+     * @param {Object} node An expanded node with at least one child.
+     * @return {Object} The chosen child.
+     */
+    select(node) {
+        const logVisits = Math.log(Math.max(node.visits, 1));
+        let maxVal = -Infinity;
+        let best = [];
+        for (let child of node.children) {
+            let val = Infinity;
+            if (child.visits > 0) {
+                val = child.total / child.visits + this.c * Math.sqrt(logVisits / child.visits);
+            }
+            if (val === maxVal) {
+                best.push(child);
+            } else if (val > maxVal) {
+                maxVal = val;
+                best = [child];
+            }
+        }
+        return this.random.choice(best);
+    }
+
+    /**
+     * Play a game out to the end with the rollout policy.
+     * 
+     * @param {TicTacToe} game A game that may be modified freely.
+     * @return {string} Outcome of the game: 'X', 'O' or 'draw'.
+     */
+    playOut(game) {
+        const guide = this.rollout == 'policy' ? this.guide : null;
+        const guidePlayer = guide ? guide.player : null;
+        let outcome = game.checkTermination();
+        try {
+            while (!outcome) {
+                if (guide) {
+                    guide.player = game.currentPlayer;
+                    game.move(guide.policy(game));
+                } else {
+                    game.move(this.random.choice(game.getValidActions()));
+                }
+                outcome = game.checkTermination();
+            }
+        } finally {
+            if (guide) {
+                guide.player = guidePlayer;
+            }
+        }
+        return outcome;
+    }
+
+    /**
+     * Search the game tree from a position for the iteration budget or time limit.
+     * 
+     * @param {TicTacToe} game Instance of TicTacToe.
+     * @param {number|null} [horizon=null] When horizon is null, search from the latest
+     *     state. If horizon is an integer, search from the game's stateHistory indexed by
+     *     horizon.
+     * @return {Object} The root node of the search tree, whose children hold the visit
+     *     counts and total outcomes of each valid action.
+     */
+    search(game, horizon=null) {
+        const rootGame = game.clone(horizon);
+        let root = MCTSAgent._node(rootGame.currentPlayer == 'X' ? 'O' : 'X', null);
+        const start = Date.now();
+        let iteration = 0;
+        // Always search at least once so that there is a move to make.
+        while (iteration === 0 || (
+            (this.iterations <= 0 || iteration < this.iterations) &&
+            (this.timeLimit <= 0 || Date.now() - start < this.timeLimit) &&
+            (this.iterations > 0 || this.timeLimit > 0)
+        )) {
+            iteration += 1;
+            let current = rootGame.clone();
+            let node = root;
+            let path = [root];
+            // Descend through expanded nodes.
+            while (node.children && node.children.length > 0) {
+                node = this.select(node);
+                current.move(node.action);
+                path.push(node);
+            }
+            // Expand the leaf unless the game is over there.
+            if (!current.checkTermination()) {
+                this.expand(node, current);
+                node = this.select(node);
+                current.move(node.action);
+                path.push(node);
+            }
+            // Back up the outcome from the point of view of the player who moved into
+            // each node: 1 for a win, 0 for a draw and -1 for a loss.
+            const outcome = this.playOut(current);
+            for (let visited of path) {
+                visited.visits += 1;
+                if (outcome == visited.player) {
+                    visited.total += 1;
+                } else if (outcome != 'draw') {
+                    visited.total -= 1;
+                }
+            }
+        }
+        logger.debug('agent', 'search', {iterations: iteration, milliseconds: Date.now() - start});
+        return root;
+    }
 
-            // Learn from both player's trials.
-            this.updateQ(game, 'X', rewardFunc);
-            this.updateQ(game, 'O', rewardFunc);
+    /**
+     * Estimate the value of every valid action by searching from a position.
+     * 
+     * @param {TicTacToe} game Instance of TicTacToe.
+     * @param {number|null} [horizon=null] When horizon is null, evaluate the latest state.
+     *     If horizon is an integer, evaluate the game's stateHistory indexed by horizon.
+     * @return {Map(number, Object)} Map of action index to its mean outcome (in [-1, 1])
+     *     for the player to move and its number of visits.
+     */
+    actionValues(game, horizon=null) {
+        const root = this.search(game, horizon);
+        let values = new Map();
+        for (let child of root.children || []) {
+            values.set(child.action, {
+                value: child.visits > 0 ? child.total / child.visits : 0,
+                visits: child.visits,
+            });
+        }
+        return values;
+    }
 
-            // Restore epsilon.
-            this.epsilon = storeEpsilon;
+    /**
+     * Choose the most visited action of a search from the current state of the board.
+     * Ties are broken randomly.
+     * 
+     * @param {TicTacToe} game Instance of TicTacToe.
+     * @param {number|null} [horizon=null] When horizon is null, apply policy to latest state.
+     *     If horizon is an integer, apply policy to game's stateHistory indexed by horizon.
+     * @return {number} Integer index representing the action taken in [0, width * height).
+     */
+    policy(game, horizon=null) {
+        if (horizon == null && this.player != game.currentPlayer) {
+            throw new MisalignedPlayerError(`Agent should be player ${this.player} but it is` +
+                                            ` player ${game.currentPlayer}'s turn.`);
+        }
+        if (game.getValidActions(horizon).length === 0) {
+            throw new InvalidActionError('There is nowhere left to make a move!');
         }
+        this.setBoard(game);
+        const root = this.search(game, horizon);
+        const maxVisits = Math.max(...root.children.map((child) => child.visits));
+        return this.random.choice(root.children.filter((child) => child.visits === maxVisits)).action;
     }
-}
\ No newline at end of file
+}
+
+
+/**
+ * Agents that may be chosen to play, keyed by class name. Each entry holds the class and
+ * a label for display. The hyperparameters of each type are described by its static
+ * parameterSchema().
+ */
+export const agentRegistry = new Map();
+
+
+/**
+ * Add a type of agent to agentRegistry.
+ * 
+ * @param {function} AgentType Class of the agent. Its constructor must accept the player
+ *     token as its only required argument.
+ * @param {string} label Name of the agent for display.
+ */
+export function registerAgent(AgentType, label) {
+    agentRegistry.set(AgentType.name, {AgentType, label});
+}
+
+
+registerAgent(QLearningAgent, 'Q-learning');
+registerAgent(DoubleQLearningAgent, 'Double Q-learning');
+registerAgent(LinearQAgent, 'linear Q-learning (board features)');
+registerAgent(NeuralQAgent, 'neural Q-learning');
+registerAgent(SarsaAgent, 'SARSA');
+registerAgent(ExpectedSarsaAgent, 'Expected SARSA');
+registerAgent(MultiStepAgent, 'n-step / Q(lambda)');
+registerAgent(MonteCarloAgent, 'Monte Carlo');
+registerAgent(MCTSAgent, 'Monte Carlo tree search');
+registerAgent(RandomAgent, 'random player');
\ No newline at end of file
@@ -0,0 +1,73 @@
+"use strict";
+/*
+ * Benchmark of symmetry-aware Q-function keys in headless training. Compares canonical
+ * keys computed from precomputed permutation tables (Agent.getKey()) against the previous
+ * approach of probing this.Q with up to seven rotated and mirrored copies of each
+ * state/action pair. Run with a version of Node that loads ES modules from .js files
+ * (e.g. Node 22 or later):
+ *
+ *     node benchmark.js [episodes]
+ */
+import { TicTacToe } from './game.js';
+import { QLearningAgent, RandomAgent } from './agent.js';
+import { terminalOnly } from './rewards.js';
+import { disableLogging } from './logger.js';
+import { train } from './training.js';
+
+
+/**
+ * QLearningAgent that finds symmetric keys the way agents did before canonical keys: by
+ * rebuilding rotated and mirrored arrays and returning the first key already in this.Q.
+ */
+class ProbingKeyAgent extends QLearningAgent {
+    getKey(state, action) {
+        const width = this.width;
+        const height = this.height;
+        const rotations = width == height ? [1, 2, 3] : [2];
+        const board = this.boardTag();
+        const actionArray = TicTacToe.toActionArray(action, 'A', null, state.length);
+        const mirrorActionArray = TicTacToe.mirror(actionArray, width, height);
+        const mirrorState = TicTacToe.mirror(state, width, height);
+        for (let [baseState, baseAction] of [[state, actionArray], [mirrorState, mirrorActionArray]]) {
+            for (let n of rotations) {
+                const index = TicTacToe.toActionIndex(TicTacToe.rot90(baseAction, n, width, height));
+                const key = QLearningAgent._hash(TicTacToe.rot90(baseState, n, width, height), index, board);
+                if (this.Q.has(key)) {
+                    return key;
+                }
+            }
+        }
+        return QLearningAgent._hash(state, action, board);
+    }
+}
+
+
+/**
+ * Train a fresh agent against a random opponent and time it.
+ *
+ * @param {function} AgentType Class of the agent to train.
+ * @param {number} episodes Number of training episodes.
+ * @param {TicTacToe} game Game to train on.
+ * @return {Object} Elapsed milliseconds and the size of the learned table.
+ */
+function timeTraining(AgentType, episodes, game) {
+    const agent = new AgentType('X', 0.1, 1.0, 0.1);
+    const start = Date.now();
+    train(agent, new RandomAgent('O'), terminalOnly, episodes, {game, alternate: true});
+    return {milliseconds: Date.now() - start, entries: agent.Q.size};
+}
+
+
+disableLogging();
+const episodes = Number(process.argv[2]) || 20000;
+for (let [width, height, winLength] of [[3, 3, 3], [4, 4, 3]]) {
+    const game = new TicTacToe('_', null, width, height, winLength);
+    const probing = timeTraining(ProbingKeyAgent, episodes, game);
+    const canonical = timeTraining(QLearningAgent, episodes, game);
+    console.log(
+        `${width}x${height}, ${winLength} in a row, ${episodes} episodes: ` +
+        `probing ${probing.milliseconds} ms (${probing.entries} entries), ` +
+        `canonical ${canonical.milliseconds} ms (${canonical.entries} entries), ` +
+        `speedup ${(probing.milliseconds / canonical.milliseconds).toFixed(2)}x`
+    );
+}
\ No newline at end of file
@@ -0,0 +1,210 @@
+"use strict";
+import { TicTacToe } from './game.js';
+import { RandomAgent, MinimaxAgent } from './agent.js';
+import { playEpisode, train } from './training.js';
+import { EpsilonGreedyExploration } from './exploration.js';
+
+
+/**
+ * Make an agent greedy for the duration of an evaluation by replacing its exploration
+ * strategy with one that never explores, and optionally its random number generator.
+ *
+ * @param {Agent} agent The agent to freeze.
+ * @param {Random} [random=null] Generator the agent uses during the evaluation.
+ * @return {function} Call to restore the agent's exploration strategy and generator.
+ */
+function freeze(agent, random=null) {
+    const exploration = agent.exploration;
+    const previous = agent.random;
+    if (exploration) {
+        agent.exploration = new EpsilonGreedyExploration(0.0);
+    }
+    if (random) {
+        agent.setRandom(random);
+    }
+    return () => {
+        if (exploration) {
+            agent.exploration = exploration;
+        }
+        agent.setRandom(previous);
+    };
+}
+
+
+/**
+ * Tally the outcomes of games from the perspective of one agent.
+ *
+ * @param {Array(Object)} results Results of games (see playEpisode()).
+ * @param {Agent} agent The agent whose wins, draws and losses are counted.
+ * @return {Object} Counts and rates of wins, draws and losses.
+ */
+function tally(results, agent) {
+    let wins = 0;
+    let draws = 0;
+    for (let result of results) {
+        if (result.winner === agent) {
+            wins += 1;
+        } else if (result.outcome == 'draw') {
+            draws += 1;
+        }
+    }
+    const games = results.length;
+    const losses = games - wins - draws;
+    return {
+        games,
+        wins,
+        draws,
+        losses,
+        winRate: games ? wins / games : 0,
+        drawRate: games ? draws / games : 0,
+        lossRate: games ? losses / games : 0,
+    };
+}
+
+
+/**
+ * Enumerate every non-terminal position that can be reached from the empty board. The
+ * number of positions grows very quickly with the size of the board.
+ *
+ * @param {TicTacToe} [board=null] Game whose board dimensions and win length are used.
+ *     Defaults to a 3x3 board.
+ * @return {Array(TicTacToe)} One game (with buttons=null) per distinct position.
+ */
+export function reachablePositions(board=null) {
+    let positions = [];
+    let seen = new Set();
+    let stack = [board ? board.clone(0) : new TicTacToe()];
+    while (stack.length > 0) {
+        const game = stack.pop();
+        const key = game.state.join('');
+        if (seen.has(key) || game.checkTermination()) {
+            continue;
+        }
+        seen.add(key);
+        positions.push(game);
+        for (let action of game.getValidActions()) {
+            let child = game.clone();
+            child.move(action);
+            stack.push(child);
+        }
+    }
+    return positions;
+}
+
+
+/**
+ * Evaluate an agent without letting it learn or explore. The agent plays as both 'X' and
+ * 'O' against each reference opponent (by default a RandomAgent and a perfect-play
+ * MinimaxAgent) and its greedy move is checked against perfect play in every reachable
+ * position. Ties between greedy moves are broken as the agent's policy does (randomly).
+ * Since perfect play requires a full search, evaluation is only practical on small boards.
+ *
+ * @param {Agent} agent The agent to evaluate. Its Q-function is not modified.
+ * @param {Object} [options={}] Optional settings.
+ * @param {number} [options.games=100] Number of games played per opponent and side.
+ * @param {TicTacToe} [options.game=null] Game whose board dimensions and win length are
+ *     used. Defaults to a 3x3 board.
+ * @param {Object} [options.opponents=null] Map of opponent names to agents. Defaults to
+ *     {random: RandomAgent, perfect: MinimaxAgent}.
+ * @param {MinimaxAgent} [options.perfectAgent=null] Perfect-play agent used to judge moves.
+ *     Passing the same instance between evaluations reuses its transposition table.
+ * @param {Array(TicTacToe)} [options.positions=null] Positions in which moves are judged.
+ *     Defaults to reachablePositions().
+ * @param {function} [options.rewardFunc=null] Reward function passed to the games. Unused
+ *     because nobody learns, but available for agents that require one.
+ * @param {Random} [options.random=null] Random number generator (see random.js) used by
+ *     the agent and the default opponents, to repeat an evaluation exactly.
+ * @return {Object} Win/draw/loss counts and rates per opponent and side, and the fraction of
+ *     positions where the agent's greedy move is optimal overall and per side.
+ */
+export function evaluate(agent, options={}) {
+    const games = options.games || 100;
+    const perfectAgent = options.perfectAgent || new MinimaxAgent('X');
+    let opponents = options.opponents;
+    if (!opponents) {
+        opponents = {random: new RandomAgent('O'), perfect: perfectAgent};
+        if (options.random) {
+            for (let opponent of Object.values(opponents)) {
+                opponent.setRandom(options.random);
+            }
+        }
+    }
+    const rewardFunc = options.rewardFunc || null;
+    const game = options.game ? options.game.clone(0) : new TicTacToe();
+
+    const restore = freeze(agent, options.random);
+    try {
+        let report = {games, opponents: {}, optimalMoveRate: null};
+        for (let [name, opponent] of Object.entries(opponents)) {
+            let asX = [];
+            let asO = [];
+            for (let i = 0; i < games; i++) {
+                asX.push(playEpisode(game, agent, opponent, rewardFunc, false));
+                asO.push(playEpisode(game, opponent, agent, rewardFunc, false));
+            }
+            report.opponents[name] = {X: tally(asX, agent), O: tally(asO, agent)};
+        }
+
+        // Judge the agent's greedy move in every position against perfect play.
+        const player = agent.player;
+        let optimal = {X: 0, O: 0};
+        let total = {X: 0, O: 0};
+        try {
+            for (let position of options.positions || reachablePositions(game)) {
+                const side = position.currentPlayer;
+                agent.player = side;
+                const values = perfectAgent.actionValues(position);
+                // A move is optimal when it keeps the best achievable outcome (win, draw or
+                // loss), regardless of how quickly it wins.
+                const best = Math.sign(Math.max(...values.values()));
+                if (Math.sign(values.get(agent.policy(position))) === best) {
+                    optimal[side] += 1;
+                }
+                total[side] += 1;
+            }
+        } finally {
+            agent.player = player;
+        }
+        report.optimalMoveRate = {
+            X: total.X ? optimal.X / total.X : 0,
+            O: total.O ? optimal.O / total.O : 0,
+            overall: (optimal.X + optimal.O) / Math.max(1, total.X + total.O),
+        };
+        return report;
+    } finally {
+        restore();
+    }
+}
+
+
+/**
+ * Train an agent and evaluate it periodically to produce a learning curve.
+ *
+ * @param {Agent} agent The agent to train and evaluate.
+ * @param {Agent} opponent The training opponent (may be agent itself for self-play).
+ * @param {function} rewardFunc Reward function that takes in game and player and
+ *     returns a numeric reward.
+ * @param {number} episodes Total number of training episodes.
+ * @param {number} evaluateEvery Number of training episodes between evaluations.
+ * @param {Object} [options={}] Options passed to evaluate(). Sides alternate in training,
+ *     which uses options.random too when given.
+ * @return {Array(Object)} Evaluation reports, each with the number of episodes trained so
+ *     far in an episode field. The untrained agent is evaluated first.
+ */
+export function learningCurve(agent, opponent, rewardFunc, episodes, evaluateEvery, options={}) {
+    // Share the perfect-play agent and positions between evaluations.
+    options = Object.assign({}, options);
+    options.perfectAgent = options.perfectAgent || new MinimaxAgent('X');
+    options.positions = options.positions || reachablePositions(options.game);
+
+    const game = options.game ? options.game.clone(0) : new TicTacToe();
+    let curve = [Object.assign({episode: 0}, evaluate(agent, options))];
+    let trained = 0;
+    while (trained < episodes) {
+        const size = Math.min(evaluateEvery, episodes - trained);
+        train(agent, opponent, rewardFunc, size, {game, alternate: true, random: options.random});
+        trained += size;
+        curve.push(Object.assign({episode: trained}, evaluate(agent, options)));
+    }
+    return curve;
+}
\ No newline at end of file
@@ -0,0 +1,343 @@
+"use strict";
+
+
+class UnknownExplorationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UnknownExplorationError';
+    }
+}
+
+
+/**
+ * Schedule whose value does not change over episodes.
+ */
+export class ConstantSchedule {
+    /**
+     * Instantiate a ConstantSchedule.
+     *
+     * @param {number} value The value at every episode.
+     */
+    constructor(value) {
+        this.start = value;
+    }
+
+    /**
+     * Get the value of the schedule.
+     *
+     * @param {number} episode Number of episodes completed.
+     * @return {number} The value at episode.
+     */
+    value(episode) {
+        return this.start;
+    }
+
+    /**
+     * Describe the schedule as a plain object (see scheduleFromJSON()).
+     *
+     * @return {Object} Type and parameters of the schedule.
+     */
+    toJSON() {
+        return {type: 'constant', start: this.start};
+    }
+}
+
+
+/**
+ * Schedule that moves linearly from a start value to an end value over a number of
+ * episodes and then stays at the end value.
+ */
+export class LinearSchedule {
+    /**
+     * Instantiate a LinearSchedule.
+     *
+     * @param {number} start Value at the first episode.
+     * @param {number} end Value once episodes have been completed.
+     * @param {number} episodes Number of episodes over which the value changes.
+     */
+    constructor(start, end, episodes) {
+        this.start = start;
+        this.end = end;
+        this.episodes = episodes;
+    }
+
+    /**
+     * Get the value of the schedule.
+     *
+     * @param {number} episode Number of episodes completed.
+     * @return {number} The value at episode.
+     */
+    value(episode) {
+        const progress = this.episodes > 0 ? Math.min(episode / this.episodes, 1.0) : 1.0;
+        return this.start + (this.end - this.start) * progress;
+    }
+
+    /**
+     * Describe the schedule as a plain object (see scheduleFromJSON()).
+     *
+     * @return {Object} Type and parameters of the schedule.
+     */
+    toJSON() {
+        return {type: 'linear', start: this.start, end: this.end, episodes: this.episodes};
+    }
+}
+
+
+/**
+ * Schedule that decays exponentially from a start value towards an end value. The
+ * distance to the end value shrinks by a factor of e every `episodes` episodes.
+ */
+export class ExponentialSchedule {
+    /**
+     * Instantiate an ExponentialSchedule.
+     *
+     * @param {number} start Value at the first episode.
+     * @param {number} end Value approached as the number of episodes grows.
+     * @param {number} episodes Time constant of the decay in episodes.
+     */
+    constructor(start, end, episodes) {
+        this.start = start;
+        this.end = end;
+        this.episodes = episodes;
+    }
+
+    /**
+     * Get the value of the schedule.
+     *
+     * @param {number} episode Number of episodes completed.
+     * @return {number} The value at episode.
+     */
+    value(episode) {
+        if (this.episodes <= 0) {
+            return this.end;
+        }
+        return this.end + (this.start - this.end) * Math.exp(-episode / this.episodes);
+    }
+
+    /**
+     * Describe the schedule as a plain object (see scheduleFromJSON()).
+     *
+     * @return {Object} Type and parameters of the schedule.
+     */
+    toJSON() {
+        return {type: 'exponential', start: this.start, end: this.end, episodes: this.episodes};
+    }
+}
+
+
+/**
+ * Create a schedule from a number (constant) or a description produced by toJSON().
+ *
+ * @param {number|Object} spec A constant value, a schedule or a schedule description.
+ * @return {Object} A schedule with a value(episode) method.
+ */
+export function scheduleFromJSON(spec) {
+    if (typeof spec === 'number') {
+        return new ConstantSchedule(spec);
+    } else if (typeof spec.value === 'function') {
+        // Already a schedule.
+        return spec;
+    } else if (spec.type == 'constant') {
+        return new ConstantSchedule(spec.start);
+    } else if (spec.type == 'linear') {
+        return new LinearSchedule(spec.start, spec.end, spec.episodes);
+    } else if (spec.type == 'exponential') {
+        return new ExponentialSchedule(spec.start, spec.end, spec.episodes);
+    }
+    throw new UnknownExplorationError(`Unknown schedule type ${spec.type}.`);
+}
+
+
+/**
+ * Get the indices of the maximum values, treating values within 1.0e-4 as equal (as
+ * EpsilonGreedyAgent.greedyActions() does).
+ *
+ * @param {Array(number)} values An array of numbers.
+ * @return {Array(number)} Indices of the maximum values.
+ */
+function argmax(values) {
+    let maxVal = -Infinity;
+    let best = [];
+    for (let [index, val] of values.entries()) {
+        if (val === maxVal || (val > maxVal - 1.0e-4 && val < maxVal + 1.0e-4)) {
+            best.push(index);
+        } else if (val > maxVal) {
+            maxVal = val;
+            best = [index];
+        }
+    }
+    return best;
+}
+
+
+/**
+ * Spread a probability uniformly over the maximum values.
+ *
+ * @param {Array(number)} values An array of numbers.
+ * @return {Array(number)} Probabilities aligned with values.
+ */
+function uniformOverMax(values) {
+    const best = argmax(values);
+    let probabilities = new Array(values.length).fill(0.0);
+    for (let index of best) {
+        probabilities[index] = 1.0 / best.length;
+    }
+    return probabilities;
+}
+
+
+/**
+ * Exploration strategy that makes a random valid move with probability epsilon and
+ * otherwise a greedy move, with ties broken randomly.
+ */
+export class EpsilonGreedyExploration {
+    /**
+     * Instantiate an EpsilonGreedyExploration strategy.
+     *
+     * @param {number|Object} [epsilon=0.1] Probability of making a random valid move, or a
+     *     schedule of it over episodes.
+     */
+    constructor(epsilon=0.1) {
+        this.epsilon = scheduleFromJSON(epsilon);
+    }
+
+    /**
+     * Get the probability of taking each valid action.
+     *
+     * @param {Array(number)} values Q-function values of the valid actions.
+     * @param {Array(number)} counts Visit counts of the valid actions (unused).
+     * @param {number} episode Number of episodes completed by the agent.
+     * @return {Array(number)} Probabilities aligned with values.
+     */
+    probabilities(values, counts, episode) {
+        const epsilon = Math.min(Math.max(this.epsilon.value(episode), 0.0), 1.0);
+        const greedy = uniformOverMax(values);
+        return greedy.map((probability) => epsilon / values.length + (1.0 - epsilon) * probability);
+    }
+
+    /**
+     * Describe the strategy as a plain object (see explorationFromJSON()).
+     *
+     * @return {Object} Type and parameters of the strategy.
+     */
+    toJSON() {
+        return {type: 'epsilonGreedy', epsilon: this.epsilon.toJSON()};
+    }
+}
+
+
+/**
+ * Exploration strategy that chooses actions with probabilities proportional to
+ * exp(Q / temperature) (softmax or Boltzmann exploration). A high temperature explores
+ * uniformly while a temperature near 0 is greedy.
+ */
+export class BoltzmannExploration {
+    /**
+     * Instantiate a BoltzmannExploration strategy.
+     *
+     * @param {number|Object} [temperature=1.0] Temperature (> 0), or a schedule of it over
+     *     episodes.
+     */
+    constructor(temperature=1.0) {
+        this.temperature = scheduleFromJSON(temperature);
+    }
+
+    /**
+     * Get the probability of taking each valid action.
+     *
+     * @param {Array(number)} values Q-function values of the valid actions.
+     * @param {Array(number)} counts Visit counts of the valid actions (unused).
+     * @param {number} episode Number of episodes completed by the agent.
+     * @return {Array(number)} Probabilities aligned with values.
+     */
+    probabilities(values, counts, episode) {
+        const temperature = this.temperature.value(episode);
+        if (!(temperature > 1.0e-8)) {
+            // The limit of zero temperature is the greedy policy.
+            return uniformOverMax(values);
+        }
+        // Subtract the maximum before exponentiating to avoid overflow.
+        const maxVal = Math.max(...values);
+        const weights = values.map((val) => Math.exp((val - maxVal) / temperature));
+        const total = weights.reduce((sum, weight) => sum + weight, 0.0);
+        return weights.map((weight) => weight / total);
+    }
+
+    /**
+     * Describe the strategy as a plain object (see explorationFromJSON()).
+     *
+     * @return {Object} Type and parameters of the strategy.
+     */
+    toJSON() {
+        return {type: 'boltzmann', temperature: this.temperature.toJSON()};
+    }
+}
+
+
+/**
+ * Exploration strategy that chooses the action with the largest upper confidence bound
+ * Q + c * sqrt(ln(N) / n), where n is the visit count of the state/action pair (from the
+ * agent's countQ) and N the total over the valid actions. Actions that have never been
+ * visited are tried first. Ties are broken randomly.
+ */
+export class UCBExploration {
+    /**
+     * Instantiate a UCBExploration strategy.
+     *
+     * @param {number|Object} [c=1.0] Weight (>= 0) of the exploration bonus, or a schedule
+     *     of it over episodes.
+     */
+    constructor(c=1.0) {
+        this.c = scheduleFromJSON(c);
+    }
+
+    /**
+     * Get the probability of taking each valid action.
+     *
+     * @param {Array(number)} values Q-function values of the valid actions.
+     * @param {Array(number)} counts Visit counts of the valid actions.
+     * @param {number} episode Number of episodes completed by the agent.
+     * @return {Array(number)} Probabilities aligned with values.
+     */
+    probabilities(values, counts, episode) {
+        const c = this.c.value(episode);
+        const total = counts.reduce((sum, count) => sum + count, 0);
+        const bounds = values.map((val, index) => {
+            if (counts[index] === 0) {
+                return c > 0 ? Infinity : val;
+            }
+            return val + c * Math.sqrt(Math.log(Math.max(total, 1)) / counts[index]);
+        });
+        return uniformOverMax(bounds);
+    }
+
+    /**
+     * Describe the strategy as a plain object (see explorationFromJSON()).
+     *
+     * @return {Object} Type and parameters of the strategy.
+     */
+    toJSON() {
+        return {type: 'ucb', c: this.c.toJSON()};
+    }
+}
+
+
+/**
+ * Create an exploration strategy from a description produced by toJSON().
+ *
+ * @param {Object} spec A strategy or a strategy description.
+ * @return {Object} A strategy with a probabilities(values, counts, episode) method.
+ */
+export function explorationFromJSON(spec) {
+    if (typeof spec.probabilities === 'function') {
+        // Already a strategy.
+        return spec;
+    } else if (spec.type == 'epsilonGreedy') {
+        return new EpsilonGreedyExploration(spec.epsilon);
+    } else if (spec.type == 'boltzmann') {
+        return new BoltzmannExploration(spec.temperature);
+    } else if (spec.type == 'ucb') {
+        return new UCBExploration(spec.c);
+    }
+    throw new UnknownExplorationError(`Unknown exploration strategy ${spec.type}.`);
+}
\ No newline at end of file
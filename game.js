@@ -1,5 +1,5 @@
 "use strict";
-import { xoLog } from './logger.js';
+import { logger } from './logger.js';
 
 
 export class InvalidActionError extends Error {
@@ -10,6 +10,16 @@ export class InvalidActionError extends Error {
 }
 
 
+// Winning lines of each board shape, keyed by "width,height,winLength". Shared between
+// games and never modified.
+const linesCache = new Map();
+
+
+// Symmetry permutation tables of each board shape, keyed by "width,height". Shared between
+// games and never modified.
+const symmetryCache = new Map();
+
+
 class InvalidChar extends Error {
     constructor(message) {
         super(message);
@@ -18,7 +28,7 @@ class InvalidChar extends Error {
 }
 
 
-class InvalidBoardSize extends Error {
+export class InvalidBoardSize extends Error {
     constructor(message) {
         super(message);
         this.name = 'InvalidBoardSize';
@@ -27,7 +37,9 @@ class InvalidBoardSize extends Error {
 
 
 /**
- * Class to store state and handle the game logic of tic-tac-toe.
+ * Class to store state and handle the game logic of tic-tac-toe on an m,n,k board: a board
+ * of width (m) by height (n) elements where the first player to get k pieces in a row,
+ * column or diagonal wins. Classic tic-tac-toe is the 3,3,3 game.
  */
 export class TicTacToe {
     /**
@@ -35,25 +47,37 @@ export class TicTacToe {
      * 
      * @param {string} [nll='_'] Represents an empty element of state. Must be a single character.
      * @param {iterable(elements)} [buttons=null] An iterable over button elements for game board.
+     * @param {number} [width=3] Number of columns of the board.
+     * @param {number} [height=3] Number of rows of the board.
+     * @param {number} [winLength=3] Number of pieces in a row needed to win (k).
      */
-    constructor(nll='_', buttons=null) {
+    constructor(nll='_', buttons=null, width=3, height=3, winLength=3) {
         if (nll.length != 1) {
             throw new InvalidChar(`Parameter nll must have length 1 but has length ${nll.length}.`);
         }
-        
+        if (!Number.isInteger(width) || !Number.isInteger(height) || width < 1 || height < 1) {
+            throw new InvalidBoardSize(`Board must be at least 1x1 but is ${width}x${height}.`);
+        }
+        if (!Number.isInteger(winLength) || winLength < 1 || winLength > Math.max(width, height)) {
+            throw new InvalidBoardSize(`winLength must be in [1, ${Math.max(width, height)}]` +
+                                       ` but is ${winLength}.`);
+        }
+
         this.nll = nll;
-        this.state = [
-            this.nll, this.nll, this.nll,
-            this.nll, this.nll, this.nll,
-            this.nll, this.nll, this.nll,
-        ];
+        this.width = width;
+        this.height = height;
+        this.winLength = winLength;
+        this.size = width * height;
+        this.lines = TicTacToe.winningLines(width, height, winLength);
+        this.state = new Array(this.size).fill(this.nll);
         this.currentPlayer = 'X';
         this.stateHistory = [this.state.slice()];
         this.actionHistory = [];
 
         if (buttons) {
-            if (buttons.length != 9) {
-                throw new InvalidBoardSize(`buttons must have length 9 but has length ${buttons.length}`);
+            if (buttons.length != this.size) {
+                throw new InvalidBoardSize(`buttons must have length ${this.size} but has length` +
+                                           ` ${buttons.length}`);
             }
             for (let button of buttons) {
                 button.innerHTML = "&nbsp;"
@@ -70,38 +94,81 @@ export class TicTacToe {
      * 
      * @param {number} row Row index from top of board to bottom of board.
      * @param {number} col Column index from left of board to right of board.
+     * @param {number} [width=3] Number of columns of the board.
      * @return {number} Single index for accessing state array.
      */
-    static unroll(row, col) {
-        return row * 3 + col;
+    static unroll(row, col, width=3) {
+        return row * width + col;
     }
 
     /**
      * Roll an index into a pair of row and column indices.
      * 
      * @param {number} index Index to be converted to row and column.
+     * @param {number} [width=3] Number of columns of the board.
      * @return {Object} An object with row and col fields.
      */
-    static roll(index) {
-        const row = Math.floor(index / 3);
-        const col = index % 3;
+    static roll(index, width=3) {
+        const row = Math.floor(index / width);
+        const col = index % width;
         return {row, col};
     }
 
     /**
-     * Convert an action index to a 9 element array.
+     * Get every line of winLength consecutive elements (horizontal, vertical and both
+     * diagonals) on a board.
+     * 
+     * @param {number} width Number of columns of the board.
+     * @param {number} height Number of rows of the board.
+     * @param {number} winLength Number of elements in a line.
+     * @return {Array(Array(number))} Indices of the elements of each line. The array is
+     *     shared between calls and must not be modified.
+     */
+    static winningLines(width, height, winLength) {
+        const cacheKey = `${width},${height},${winLength}`;
+        if (linesCache.has(cacheKey)) {
+            return linesCache.get(cacheKey);
+        }
+
+        let lines = [];
+        // Directions as [row step, column step]: right, down, down-right and down-left.
+        const directions = [[0, 1], [1, 0], [1, 1], [1, -1]];
+        for (let row = 0; row < height; row++) {
+            for (let col = 0; col < width; col++) {
+                for (let [dRow, dCol] of directions) {
+                    const endRow = row + dRow * (winLength - 1);
+                    const endCol = col + dCol * (winLength - 1);
+                    if (endRow >= height || endCol < 0 || endCol >= width) {
+                        // The line would run off the board.
+                        continue;
+                    }
+                    let line = [];
+                    for (let i = 0; i < winLength; i++) {
+                        line.push(TicTacToe.unroll(row + dRow * i, col + dCol * i, width));
+                    }
+                    lines.push(line);
+                }
+            }
+        }
+        if (winLength === 1) {
+            // Every direction produces the same single element line; keep one of each.
+            lines = lines.filter((_, index) => index % directions.length === 0);
+        }
+        linesCache.set(cacheKey, lines);
+        return lines;
+    }
+
+    /**
+     * Convert an action index to an array with one element per board element.
      * 
      * @param {number} index Index of action element.
      * @param {string} [placeholder='A'] Fill element with this string.
      * @param {string|null} [empty=null] Used to fill empty elements.
+     * @param {number} [size=9] Number of elements of the board.
      * @return {Array(string)} Index converted into an array.
      */
-    static toActionArray(index, placeholder='A', empty=null) {
-        let actionArray = [
-            empty, empty, empty,
-            empty, empty, empty,
-            empty, empty, empty,
-        ];
+    static toActionArray(index, placeholder='A', empty=null, size=9) {
+        let actionArray = new Array(size).fill(empty);
         actionArray[index] = placeholder;
         return actionArray;
     }
@@ -124,35 +191,33 @@ export class TicTacToe {
     }
 
     /**
-     * Rotates a game state by 90 degrees clockwise.
+     * Rotates a game state by 90 degrees clockwise. Note that rotating a board that is not
+     * square by an odd number of turns swaps its width and height.
      * 
      * @param {Array(string)} state A game state.
      * @param {number} n The number of 90 degree rotations.
+     * @param {number} [width=3] Number of columns of the board.
+     * @param {number} [height=3] Number of rows of the board.
      * @return {Array{string}} state rotated by n * 90 degrees.
      */
-    static rot90(state, n) {
-        let newState = [];
+    static rot90(state, n, width=3, height=3) {
         if (n % 4 === 0) {
             return state;
         }
-        else if (n % 4 === 1) {
-            newState.push(
-                state[6], state[3], state[0],
-                state[7], state[4], state[1],
-                state[8], state[5], state[2],
-            );
-        } else if (n % 4 === 2) {
-            newState.push(
-                state[8], state[7], state[6],
-                state[5], state[4], state[3],
-                state[2], state[1], state[0],
-            );
-        } else if (n % 4 === 3) {
-            newState.push(
-                state[2], state[5], state[8],
-                state[1], state[4], state[7],
-                state[0], state[3], state[6],
-            )
+        let newState = state;
+        for (let turn = 0; turn < n % 4; turn++) {
+            // After a turn, a row of the rotated board is a column of the board read from
+            // bottom to top.
+            let rotated = new Array(state.length);
+            for (let i = 0; i < width; i++) {
+                for (let j = 0; j < height; j++) {
+                    rotated[TicTacToe.unroll(i, j, height)] = newState[
+                        TicTacToe.unroll(height - 1 - j, i, width)
+                    ];
+                }
+            }
+            newState = rotated;
+            [width, height] = [height, width];
         }
         return newState;
     }
@@ -161,18 +226,59 @@ export class TicTacToe {
      * Mirror a state across its vertical axis.
      * 
      * @param {Array(string)} state A game state.
+     * @param {number} [width=3] Number of columns of the board.
+     * @param {number} [height=3] Number of rows of the board.
      * @return {Array(string)} Mirrored version of state.
      */
-    static mirror(state) {
-        let newState = new Array(9);
-        for (let i = 0; i < 3; i++) {
-            for (let j = 0; j < 3; j++) {
-                newState[TicTacToe.unroll(i, 2 - j)] = state[TicTacToe.unroll(i, j)];
+    static mirror(state, width=3, height=3) {
+        let newState = new Array(state.length);
+        for (let i = 0; i < height; i++) {
+            for (let j = 0; j < width; j++) {
+                newState[TicTacToe.unroll(i, width - 1 - j, width)] = state[TicTacToe.unroll(i, j, width)];
             }
         }
         return newState;
     }
 
+    /**
+     * Get permutation tables for the symmetries of a board: the rotations and reflections
+     * that map the board onto itself. A square board has 8 symmetries (4 rotations, each
+     * with and without mirroring) while other boards have 4 (rotations by 0 and 180
+     * degrees, each with and without mirroring). The identity always comes first.
+     * 
+     * Each symmetry has a forward table, where element i of the transformed state is
+     * element forward[i] of the original state, and an inverse table, where the element at
+     * index i of the original state (e.g. an action) moves to index inverse[i].
+     * 
+     * @param {number} [width=3] Number of columns of the board.
+     * @param {number} [height=3] Number of rows of the board.
+     * @return {Array(Object)} Objects with forward and inverse permutation arrays. The array
+     *     is shared between calls and must not be modified.
+     */
+    static symmetries(width=3, height=3) {
+        const cacheKey = `${width},${height}`;
+        if (symmetryCache.has(cacheKey)) {
+            return symmetryCache.get(cacheKey);
+        }
+
+        // Transforming the array of indices gives the source index of every element.
+        const identity = Array.from({length: width * height}, (_, index) => index);
+        const rotations = width == height ? [0, 1, 2, 3] : [0, 2];
+        let symmetries = [];
+        for (let base of [identity, TicTacToe.mirror(identity, width, height)]) {
+            for (let n of rotations) {
+                const forward = TicTacToe.rot90(base, n, width, height).slice();
+                let inverse = new Array(forward.length);
+                for (let [index, source] of forward.entries()) {
+                    inverse[source] = index;
+                }
+                symmetries.push({forward, inverse});
+            }
+        }
+        symmetryCache.set(cacheKey, symmetries);
+        return symmetries;
+    }
+
     /**
      * Add a piece to the game board.
      * 
@@ -181,8 +287,8 @@ export class TicTacToe {
      */
     move(index) {
         // Verify the index is valid.
-        if (index >= 9 || index < 0) {
-            throw new InvalidActionError(`Position ${index} must be in [0, 9) exclusive.`);
+        if (index >= this.size || index < 0) {
+            throw new InvalidActionError(`Position ${index} must be in [0, ${this.size}) exclusive.`);
         } else if (this.state[index] != this.nll) {
             throw new InvalidActionError(`Invalid move! Position ${index} is already taken.`);
         } else if (this.checkTermination()) {
@@ -214,6 +320,41 @@ export class TicTacToe {
         this.stateHistory.push(this.state.slice());
     }
 
+    /**
+     * Take back the most recent moves, restoring the state, the player to move and the
+     * buttons as they were before them.
+     * 
+     * @param {number} [plies=1] Number of moves to take back, e.g. 2 for a full round.
+     * @return {Array(number)} Indices of the moves taken back, most recent first.
+     */
+    undo(plies=1) {
+        if (!Number.isInteger(plies) || plies < 0 || plies > this.actionHistory.length) {
+            throw new InvalidActionError(`Cannot take back ${plies} moves when` +
+                                         ` ${this.actionHistory.length} have been made.`);
+        }
+        let undone = [];
+        for (let ply = 0; ply < plies; ply++) {
+            undone.push(this.actionHistory.pop());
+            this.stateHistory.pop();
+        }
+        this.state = this.stateHistory[this.stateHistory.length - 1].slice();
+        this.currentPlayer = this.actionHistory.length % 2 == 0 ? 'X' : 'O';
+
+        if (this.buttons) {
+            for (let index = 0; index < this.size; index++) {
+                let button = this.buttons[index];
+                if (this.state[index] == this.nll) {
+                    button.innerHTML = "&nbsp;"
+                    button.disabled = false;
+                } else {
+                    button.innerText = this.state[index];
+                    button.disabled = true;
+                }
+            }
+        }
+        return undone;
+    }
+
     /**
      * Check whether the game has completed and who has won, if anyone.
      * 
@@ -232,85 +373,30 @@ export class TicTacToe {
             state = this.stateHistory[horizon];
         }
 
-        // Initialize diagonal win indicators.
-        let tlX = true;
-        let trX = true;
-        let tlO = true;
-        let trO = true;
-
-        // Initialize draw game indicator.
-        let draw = true;
-
-        for (let i = 0; i < 3; i++) {
-            // For the ith row and column, initialize row and column win indicators.
-            let rowX = true;
-            let colX = true;
-            let rowO = true;
-            let colO = true;
-
-            // Check ith element diagonally from top-left to bottom-right.
-            let index = TicTacToe.unroll(i, i);
-            if (state[index] != 'X') {
-                tlX = false;
-            }
-            if (state[index] != 'O') {
-                tlO = false;
-            }
-
-            // Check ith element diagonally from top-right to bottom-left.
-            index = TicTacToe.unroll(i, 2 - i);
-            if (state[index] != 'X') {
-                trX = false;
-            }
-            if (state[index] != 'O') {
-                trO = false;
+        // Check for a winner along every line of winLength elements.
+        for (let line of this.lines) {
+            const first = state[line[0]];
+            if (first == this.nll) {
+                continue;
             }
-
-            for (let j = 0; j < 3; j++) {
-                // Check the jth column of the ith row.
-                let index = TicTacToe.unroll(i, j);
-                if (state[index] != 'X') {
-                    rowX = false;
-                }
-                if (state[index] != 'O') {
-                    rowO = false;
-                }
-
-                // If there are any empty indices of state, this cannot be a draw game.
-                if (state[index] == this.nll) {
-                    draw = false;
-                }
-
-                // Check the jth row of the ith column.
-                index = TicTacToe.unroll(j, i);
-                if (state[index] != 'X') {
-                    colX = false;
-                }
-                if (state[index] != 'O') {
-                    colO = false;
+            let win = true;
+            for (let k = 1; k < line.length; k++) {
+                if (state[line[k]] != first) {
+                    win = false;
+                    break;
                 }
             }
-
-            // Check if there is a winner along the ith row or column.
-            if (rowX || colX) {
-                return 'X';
-            } else if (rowO || colO) {
-                return 'O';
+            if (win) {
+                return first;
             }
         }
-        // Check for a winner along the diagonals.
-        if (tlX || trX) {
-            return 'X';
-        } else if (tlO || trO) {
-            return 'O';
-        }
 
-        if (draw) {
-            // All elements occupied, game is a draw.
-            return 'draw';
-        } else {
+        if (state.includes(this.nll)) {
             // No winner and empty elements; the game continues.
             return '';
+        } else {
+            // All elements occupied, game is a draw.
+            return 'draw';
         }
     }
 
@@ -333,7 +419,7 @@ export class TicTacToe {
         }
 
         let valid = [];
-        for (let i = 0; i < 9; i++) {
+        for (let i = 0; i < this.size; i++) {
             if (state[i] == this.nll) {
                 valid.push(i);
             }
@@ -341,6 +427,28 @@ export class TicTacToe {
         return valid;
     }
 
+    /**
+     * Create a copy of the game that is detached from the game board buttons so that moves
+     * can be simulated without affecting this game.
+     * 
+     * @param {number|null} [horizon=null] If horizon is null, copy the current state. If
+     *     horizon is an integer, copy the game as it was at the game's stateHistory indexed
+     *     by horizon.
+     * @return {TicTacToe} A new TicTacToe instance with buttons=null.
+     */
+    clone(horizon=null) {
+        if (horizon == null) {
+            horizon = this.stateHistory.length - 1;
+        }
+        let game = new TicTacToe(this.nll, null, this.width, this.height, this.winLength);
+        game.state = this.stateHistory[horizon].slice();
+        game.stateHistory = this.stateHistory.slice(0, horizon + 1).map((state) => state.slice());
+        game.actionHistory = this.actionHistory.slice(0, horizon);
+        // 'X' always moves first so the player to move follows from the number of moves made.
+        game.currentPlayer = horizon % 2 === 0 ? 'X' : 'O';
+        return game;
+    }
+
     /**
      * Get a string representing the current game state.
      * 
@@ -348,10 +456,10 @@ export class TicTacToe {
      */
     toString() {
         let rows = [];
-        for (let i = 0; i < 3; i++) {
+        for (let i = 0; i < this.height; i++) {
             let row = [];
-            for (let j = 0; j < 3; j++) {
-                let index = TicTacToe.unroll(i, j);
+            for (let j = 0; j < this.width; j++) {
+                let index = TicTacToe.unroll(i, j, this.width);
                 if (this.state[index] == this.nll) {
                     row.push(' ');
                 } else {
@@ -360,32 +468,29 @@ export class TicTacToe {
             }
             rows.push(row.join('|') + '\n');
         }
-        return rows.join('-----\n');
+        return rows.join('-'.repeat(2 * this.width - 1) + '\n');
     }
 
     /**
-     * Print a visualization of the current game state to console.
+     * Log a visualization of the current game state.
      */
     printState() {
-        xoLog(this.toString());
+        logger.info('game', 'state', {board: this.toString()});
     }
 
     /**
      * Start a new game.
      */
     reset() {
-        this.state = [
-            this.nll, this.nll, this.nll,
-            this.nll, this.nll, this.nll,
-            this.nll, this.nll, this.nll,
-        ];
+        this.state = new Array(this.size).fill(this.nll);
         this.stateHistory = [this.state.slice()];
         this.actionHistory = [];
         this.currentPlayer = 'X';
 
         if (this.buttons) {
-            if (this.buttons.length != 9) {
-                throw new InvalidBoardSize(`buttons must have length 9 but has length ${buttons.length}`);
+            if (this.buttons.length != this.size) {
+                throw new InvalidBoardSize(`buttons must have length ${this.size} but has length` +
+                                           ` ${this.buttons.length}`);
             }
             for (let button of this.buttons) {
                 button.innerHTML = "&nbsp;"
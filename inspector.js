@@ -0,0 +1,132 @@
+"use strict";
+import { TicTacToe } from './game.js';
+import { decodeKey } from './agent.js';
+
+
+export class InvalidPatternError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'InvalidPatternError';
+    }
+}
+
+
+// Orders in which table entries can be sorted, by the field compared.
+export const SORT_FIELDS = ['value', 'count', 'move'];
+
+
+/**
+ * List what an agent has learned: one entry per key of its Q-function (and of its countQ,
+ * for pairs that have been counted without a value), with the key decoded into the
+ * position and move it describes (see decodeKey()).
+ *
+ * @param {Agent} agent An agent that learns a table of Q-values.
+ * @return {Array(Object)} Entries {key, state, action, board, width, height, winLength,
+ *     value, count, move}, where value is null for pairs without a Q-value and move is the
+ *     number of the move in the game (1 for the first move).
+ */
+export function tableEntries(agent) {
+    let keys = new Set(agent.Q.keys());
+    for (let key of agent.countQ.keys()) {
+        keys.add(key);
+    }
+    let entries = [];
+    for (let key of keys) {
+        const decoded = decodeKey(key);
+        entries.push(Object.assign(decoded, {
+            key,
+            value: agent.Q.has(key) ? agent.Q.get(key) : null,
+            count: agent.countQ.get(key) || 0,
+            move: decoded.state.filter((piece) => piece == 'X' || piece == 'O').length + 1,
+        }));
+    }
+    return entries;
+}
+
+
+/**
+ * Read a piece pattern: one character per element of the board, counting along rows from
+ * the top left, where X and O match those pieces, _ an empty element and ? anything.
+ * Whitespace and / (e.g. between rows) are ignored, so "X?O / _X_ / ???" is a pattern
+ * for the classic board.
+ *
+ * @param {string} text The pattern.
+ * @return {Array(string)|null} The characters of the pattern, or null when it is empty.
+ */
+export function parsePattern(text) {
+    const pattern = text.replace(/[\s/]/g, '').toUpperCase().split('');
+    if (pattern.length === 0) {
+        return null;
+    }
+    for (let character of pattern) {
+        if (!['X', 'O', '_', '?'].includes(character)) {
+            throw new InvalidPatternError(`Patterns are made of X, O, _ and ? but contain '${character}'.`);
+        }
+    }
+    return pattern;
+}
+
+
+/**
+ * Check whether a position matches a piece pattern in any of its rotations and mirror
+ * images, since table keys only hold the canonical one (see Agent.getKey()).
+ *
+ * @param {Object} entry Entry of a table (see tableEntries()).
+ * @param {Array(string)} pattern Pattern as returned by parsePattern().
+ * @return {boolean} Whether the position matches.
+ */
+function matchesPattern(entry, pattern) {
+    if (pattern.length != entry.state.length) {
+        return false;
+    }
+    return TicTacToe.symmetries(entry.width, entry.height).some((symmetry) => pattern.every(
+        (character, i) => character == '?' || character == entry.state[symmetry.forward[i]]
+    ));
+}
+
+
+/**
+ * Select the table entries that pass every given filter.
+ *
+ * @param {Array(Object)} entries Entries of a table (see tableEntries()).
+ * @param {Object} [filter={}] Filters; those that are null or missing are not applied.
+ * @param {number} [filter.minValue=null] Lowest Q-value.
+ * @param {number} [filter.maxValue=null] Highest Q-value.
+ * @param {number} [filter.minCount=null] Fewest updates.
+ * @param {number} [filter.move=null] Number of the move in the game.
+ * @param {Array(string)} [filter.pattern=null] Piece pattern (see parsePattern()).
+ * @return {Array(Object)} The entries that pass, in their original order.
+ */
+export function filterEntries(entries, filter={}) {
+    return entries.filter((entry) => (
+        (filter.minValue == null || (entry.value != null && entry.value >= filter.minValue)) &&
+        (filter.maxValue == null || (entry.value != null && entry.value <= filter.maxValue)) &&
+        (filter.minCount == null || entry.count >= filter.minCount) &&
+        (filter.move == null || entry.move == filter.move) &&
+        (filter.pattern == null || matchesPattern(entry, filter.pattern))
+    ));
+}
+
+
+/**
+ * Sort table entries by one of SORT_FIELDS. Entries without a value come last when sorting
+ * by value, and ties are broken by key so that the order is stable between refreshes.
+ *
+ * @param {Array(Object)} entries Entries of a table (see tableEntries()). Sorted in place.
+ * @param {string} [field='value'] One of SORT_FIELDS.
+ * @param {boolean} [descending=true] Whether the largest come first.
+ * @return {Array(Object)} The sorted entries.
+ */
+export function sortEntries(entries, field='value', descending=true) {
+    const sign = descending ? -1 : 1;
+    return entries.sort((a, b) => {
+        if (a[field] == null || b[field] == null) {
+            if (a[field] != b[field]) {
+                return a[field] == null ? 1 : -1;
+            }
+        } else if (a[field] != b[field]) {
+            return sign * (a[field] - b[field]);
+        }
+        return a.key < b.key ? -1 : (a.key > b.key ? 1 : 0);
+    });
+}
\ No newline at end of file
@@ -1,11 +1,270 @@
-export let xoLog = console.log;
+"use strict";
 
 
+export class UnknownLevelError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UnknownLevelError';
+    }
+}
+
+
+export class UnknownChannelError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UnknownChannelError';
+    }
+}
+
+
+// Severity of each log level. A logger records events at or above its level; 'off'
+// records nothing.
+export const LOG_LEVELS = {debug: 0, info: 1, warn: 2, error: 3, off: 4};
+
+// Channels that events are logged on: the game, the agents' learning and search, and
+// the page.
+export const LOG_CHANNELS = ['game', 'agent', 'ui'];
+
+
+/**
+ * Levelled logger of structured events. Every event has a level, a channel, a name and
+ * a plain object of data, e.g.
+ *
+ *     logger.debug('agent', 'qUpdate', {key, oldQ, newQ, reward});
+ *
+ * Events that pass the logger's level and channel filters are kept in a ring buffer of
+ * the most recent events (see entries()), optionally written to the console, and passed
+ * to listeners (see subscribe()).
+ */
+export class Logger {
+    /**
+     * Instantiate a Logger.
+     *
+     * @param {number} [capacity=1000] Number of most recent events kept in memory.
+     * @param {string} [level='warn'] Lowest level recorded (see LOG_LEVELS).
+     */
+    constructor(capacity=1000, level='warn') {
+        this.capacity = capacity;
+        this.setLevel(level);
+        this.channels = new Set(LOG_CHANNELS);
+        // Whether recorded events are also written to the console.
+        this.console = true;
+        this.listeners = [];
+        this.clear();
+    }
+
+    /**
+     * Set the lowest level of events that are recorded.
+     *
+     * @param {string} level A key of LOG_LEVELS.
+     */
+    setLevel(level) {
+        if (!LOG_LEVELS.hasOwnProperty(level)) {
+            throw new UnknownLevelError(`Unknown log level ${level}.`);
+        }
+        this.level = level;
+    }
+
+    /**
+     * Record or ignore the events of a channel.
+     *
+     * @param {string} channel One of LOG_CHANNELS.
+     * @param {boolean} enabled Whether events on the channel are recorded.
+     */
+    setChannel(channel, enabled) {
+        if (!LOG_CHANNELS.includes(channel)) {
+            throw new UnknownChannelError(`Unknown log channel ${channel}.`);
+        }
+        if (enabled) {
+            this.channels.add(channel);
+        } else {
+            this.channels.delete(channel);
+        }
+    }
+
+    /**
+     * Check whether events of a level on a channel would be recorded, so that callers can
+     * skip building expensive event data.
+     *
+     * @param {string} level A key of LOG_LEVELS.
+     * @param {string} channel One of LOG_CHANNELS.
+     * @return {boolean} Whether the events would be recorded.
+     */
+    isEnabled(level, channel) {
+        return LOG_LEVELS[level] >= LOG_LEVELS[this.level] && this.channels.has(channel);
+    }
+
+    /**
+     * Log an event.
+     *
+     * @param {string} level 'debug', 'info', 'warn' or 'error'.
+     * @param {string} channel One of LOG_CHANNELS.
+     * @param {string} event Name of the event, e.g. 'qUpdate'.
+     * @param {Object} [data={}] Data of the event.
+     * @return {Object|null} The recorded entry {time, level, channel, event, data}, or
+     *     null when the event was filtered out.
+     */
+    log(level, channel, event, data={}) {
+        if (!LOG_LEVELS.hasOwnProperty(level) || level == 'off') {
+            throw new UnknownLevelError(`Unknown log level ${level}.`);
+        }
+        if (!LOG_CHANNELS.includes(channel)) {
+            throw new UnknownChannelError(`Unknown log channel ${channel}.`);
+        }
+        if (!this.isEnabled(level, channel)) {
+            return null;
+        }
+        const entry = {time: Date.now(), level, channel, event, data};
+        // Overwrite the oldest entry once the buffer is full.
+        this.buffer[(this.start + this.size) % this.capacity] = entry;
+        if (this.size < this.capacity) {
+            this.size += 1;
+        } else {
+            this.start = (this.start + 1) % this.capacity;
+        }
+        if (this.console) {
+            console[level](`[${channel}] ${event}`, data);
+        }
+        for (let listener of this.listeners) {
+            listener(entry);
+        }
+        return entry;
+    }
+
+    /**
+     * Log an event at level 'debug' (see log()).
+     *
+     * @param {string} channel One of LOG_CHANNELS.
+     * @param {string} event Name of the event.
+     * @param {Object} [data={}] Data of the event.
+     * @return {Object|null} The recorded entry, or null.
+     */
+    debug(channel, event, data={}) {
+        return this.log('debug', channel, event, data);
+    }
+
+    /**
+     * Log an event at level 'info' (see log()).
+     *
+     * @param {string} channel One of LOG_CHANNELS.
+     * @param {string} event Name of the event.
+     * @param {Object} [data={}] Data of the event.
+     * @return {Object|null} The recorded entry, or null.
+     */
+    info(channel, event, data={}) {
+        return this.log('info', channel, event, data);
+    }
+
+    /**
+     * Log an event at level 'warn' (see log()).
+     *
+     * @param {string} channel One of LOG_CHANNELS.
+     * @param {string} event Name of the event.
+     * @param {Object} [data={}] Data of the event.
+     * @return {Object|null} The recorded entry, or null.
+     */
+    warn(channel, event, data={}) {
+        return this.log('warn', channel, event, data);
+    }
+
+    /**
+     * Log an event at level 'error' (see log()).
+     *
+     * @param {string} channel One of LOG_CHANNELS.
+     * @param {string} event Name of the event.
+     * @param {Object} [data={}] Data of the event.
+     * @return {Object|null} The recorded entry, or null.
+     */
+    error(channel, event, data={}) {
+        return this.log('error', channel, event, data);
+    }
+
+    /**
+     * Get the recorded events, oldest first.
+     *
+     * @param {Object} [filter={}] Optional filters.
+     * @param {string} [filter.level='debug'] Lowest level of the events returned.
+     * @param {string} [filter.channel=null] Only return events on this channel.
+     * @param {number} [filter.limit=Infinity] Only return this many of the most recent events.
+     * @return {Array(Object)} Entries {time, level, channel, event, data}.
+     */
+    entries(filter={}) {
+        const minimum = LOG_LEVELS[filter.level || 'debug'];
+        let entries = [];
+        for (let i = 0; i < this.size; i++) {
+            const entry = this.buffer[(this.start + i) % this.capacity];
+            if (LOG_LEVELS[entry.level] >= minimum && (!filter.channel || entry.channel == filter.channel)) {
+                entries.push(entry);
+            }
+        }
+        return filter.limit ? entries.slice(-filter.limit) : entries;
+    }
+
+    /**
+     * Forget every recorded event.
+     */
+    clear() {
+        this.buffer = new Array(this.capacity);
+        this.start = 0;
+        this.size = 0;
+    }
+
+    /**
+     * Call a function with every event recorded from now on.
+     *
+     * @param {function} listener Called with each recorded entry.
+     * @return {function} Call it to stop calling the listener.
+     */
+    subscribe(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter((other) => other !== listener);
+        };
+    }
+
+    /**
+     * Write recorded events as JSON Lines, one entry per line.
+     *
+     * @param {Array(Object)} [entries=this.entries()] Entries to write.
+     * @return {string} The events.
+     */
+    toJSONLines(entries=this.entries()) {
+        return entries.map((entry) => JSON.stringify(entry)).join('\n');
+    }
+}
+
+
+/**
+ * Write a log entry as a single line of text, e.g.
+ *
+ *     12:00:00.000 debug [agent] qUpdate {"key":"...","oldQ":0,"newQ":0.1,"reward":0}
+ *
+ * @param {Object} entry Entry recorded by a Logger.
+ * @return {string} The entry as text.
+ */
+export function formatEntry(entry) {
+    const time = new Date(entry.time).toISOString().slice(11, 23);
+    return `${time} ${entry.level} [${entry.channel}] ${entry.event} ${JSON.stringify(entry.data)}`;
+}
+
+
+// Logger shared by the game, the agents and the page.
+export const logger = new Logger();
+
+
+/**
+ * Stop recording events, e.g. while training or benchmarking.
+ */
 export function disableLogging() {
-    xoLog = function() {};
+    logger.setLevel('off');
 }
 
 
-export function enableLogging() {
-    xoLog = console.log;
+/**
+ * Record events at a level and above.
+ *
+ * @param {string} [level='debug'] Lowest level recorded (see LOG_LEVELS).
+ */
+export function enableLogging(level='debug') {
+    logger.setLevel(level);
 }
\ No newline at end of file
@@ -0,0 +1,304 @@
+"use strict";
+
+
+class NetworkShapeError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'NetworkShapeError';
+    }
+}
+
+
+// Activation functions of the hidden layers and their derivatives, written in terms of
+// the activation's output so that backpropagation only needs the stored activations.
+const activations = {
+    tanh: {
+        apply: (x) => Math.tanh(x),
+        derivative: (y) => 1.0 - y * y,
+    },
+    relu: {
+        apply: (x) => x > 0.0 ? x : 0.0,
+        derivative: (y) => y > 0.0 ? 1.0 : 0.0,
+    },
+};
+
+
+/**
+ * Small fully connected neural network (multilayer perceptron) with a linear output layer,
+ * written without dependencies so that it runs anywhere the rest of the game does. Layer
+ * l has weights[l][j][i] from unit i of layer l to unit j of layer l + 1, and biases[l][j].
+ * Train it by computing gradients with gradients() and applying them with an optimizer
+ * (see SGD and Adam).
+ */
+export class MultilayerPerceptron {
+    /**
+     * Instantiate a MultilayerPerceptron with random weights (Glorot uniform) and zero
+     * biases.
+     *
+     * @param {Array(number)} sizes Number of units of each layer, from the inputs to the
+     *     outputs, e.g. [9, 32, 9].
+     * @param {string} [activation='tanh'] Activation of the hidden layers: 'tanh' or 'relu'.
+     * @param {Random} [random=null] Random number generator (see random.js) that draws the
+     *     initial weights. Math.random() is used when null.
+     */
+    constructor(sizes, activation='tanh', random=null) {
+        if (sizes.length < 2) {
+            throw new NetworkShapeError('A network needs at least an input and an output layer.');
+        }
+        if (!activations.hasOwnProperty(activation)) {
+            throw new NetworkShapeError(`Unknown activation ${activation}.`);
+        }
+        this.sizes = sizes.slice();
+        this.activation = activation;
+        this.weights = [];
+        this.biases = [];
+        const uniform = random ? () => random.next() : Math.random;
+        for (let l = 0; l < sizes.length - 1; l++) {
+            const limit = Math.sqrt(6.0 / (sizes[l] + sizes[l + 1]));
+            let layer = [];
+            for (let j = 0; j < sizes[l + 1]; j++) {
+                let row = [];
+                for (let i = 0; i < sizes[l]; i++) {
+                    row.push((2.0 * uniform() - 1.0) * limit);
+                }
+                layer.push(row);
+            }
+            this.weights.push(layer);
+            this.biases.push(new Array(sizes[l + 1]).fill(0.0));
+        }
+    }
+
+    /**
+     * Compute the activations of every layer for an input.
+     *
+     * @param {Array(number)} input Values of the input units.
+     * @return {Array(Array(number))} Activations of each layer, starting with the input
+     *     and ending with the outputs.
+     */
+    forward(input) {
+        if (input.length != this.sizes[0]) {
+            throw new NetworkShapeError(`Input has ${input.length} values but the network has` +
+                                        ` ${this.sizes[0]} inputs.`);
+        }
+        const hidden = activations[this.activation].apply;
+        const last = this.weights.length - 1;
+        let layers = [input];
+        for (let l = 0; l <= last; l++) {
+            const previous = layers[l];
+            const output = this.weights[l].map((row, j) => {
+                let sum = this.biases[l][j];
+                for (let i = 0; i < row.length; i++) {
+                    sum += row[i] * previous[i];
+                }
+                return l < last ? hidden(sum) : sum;
+            });
+            layers.push(output);
+        }
+        return layers;
+    }
+
+    /**
+     * Compute the outputs of the network for an input.
+     *
+     * @param {Array(number)} input Values of the input units.
+     * @return {Array(number)} Values of the output units.
+     */
+    predict(input) {
+        const layers = this.forward(input);
+        return layers[layers.length - 1];
+    }
+
+    /**
+     * Create arrays of zeros shaped like the weights and biases.
+     *
+     * @return {Object} Zero weights and biases.
+     */
+    zeros() {
+        return {
+            weights: this.weights.map((layer) => layer.map((row) => new Array(row.length).fill(0.0))),
+            biases: this.biases.map((layer) => new Array(layer.length).fill(0.0)),
+        };
+    }
+
+    /**
+     * Backpropagate the gradient of a loss with respect to the outputs and add the
+     * gradients with respect to the weights and biases to an accumulator.
+     *
+     * @param {Array(Array(number))} layers Activations of a forward pass (see forward()).
+     * @param {Array(number)} outputGradient Gradient of the loss with respect to each output.
+     * @param {Object} [accumulator=this.zeros()] Gradients to add to (see zeros()).
+     * @return {Object} The accumulator.
+     */
+    gradients(layers, outputGradient, accumulator=this.zeros()) {
+        const derivative = activations[this.activation].derivative;
+        let delta = outputGradient.slice();
+        for (let l = this.weights.length - 1; l >= 0; l--) {
+            const input = layers[l];
+            for (let j = 0; j < delta.length; j++) {
+                if (delta[j] === 0.0) {
+                    continue;
+                }
+                accumulator.biases[l][j] += delta[j];
+                let row = accumulator.weights[l][j];
+                for (let i = 0; i < input.length; i++) {
+                    row[i] += delta[j] * input[i];
+                }
+            }
+            if (l > 0) {
+                // Pass the gradient back through the weights and the hidden activation.
+                let previous = new Array(input.length).fill(0.0);
+                for (let j = 0; j < delta.length; j++) {
+                    const row = this.weights[l][j];
+                    for (let i = 0; i < input.length; i++) {
+                        previous[i] += row[i] * delta[j];
+                    }
+                }
+                delta = previous.map((gradient, i) => gradient * derivative(input[i]));
+            }
+        }
+        return accumulator;
+    }
+
+    /**
+     * Copy the weights and biases of another network of the same shape into this one.
+     *
+     * @param {MultilayerPerceptron} network The network to copy.
+     */
+    copyFrom(network) {
+        if (network.sizes.join() != this.sizes.join()) {
+            throw new NetworkShapeError(`Cannot copy a network of shape ${network.sizes} into` +
+                                        ` one of shape ${this.sizes}.`);
+        }
+        this.weights = network.weights.map((layer) => layer.map((row) => row.slice()));
+        this.biases = network.biases.map((layer) => layer.slice());
+    }
+
+    /**
+     * Create a copy of the network.
+     *
+     * @return {MultilayerPerceptron} A network with the same shape, weights and biases.
+     */
+    clone() {
+        let network = new MultilayerPerceptron(this.sizes, this.activation);
+        network.copyFrom(this);
+        return network;
+    }
+
+    /**
+     * Serialize the network into a plain object that can be passed to JSON.stringify().
+     *
+     * @return {Object} Shape, activation, weights and biases of the network.
+     */
+    toJSON() {
+        return {
+            sizes: this.sizes,
+            activation: this.activation,
+            weights: this.weights,
+            biases: this.biases,
+        };
+    }
+
+    /**
+     * Create a network from an object produced by toJSON().
+     *
+     * @param {Object} data Shape, activation, weights and biases of a network.
+     * @return {MultilayerPerceptron} The restored network.
+     */
+    static fromJSON(data) {
+        let network = new MultilayerPerceptron(data.sizes, data.activation);
+        network.copyFrom({sizes: data.sizes, weights: data.weights, biases: data.biases});
+        return network;
+    }
+}
+
+
+/**
+ * Stochastic gradient descent: every parameter moves against its gradient, scaled by the
+ * learning rate.
+ */
+export class SGD {
+    /**
+     * Instantiate an SGD optimizer.
+     *
+     * @param {number} [learningRate=0.01] Step size.
+     */
+    constructor(learningRate=0.01) {
+        this.learningRate = learningRate;
+    }
+
+    /**
+     * Update the parameters of a network.
+     *
+     * @param {MultilayerPerceptron} network The network to update.
+     * @param {Object} gradients Gradients of the loss (see MultilayerPerceptron.gradients()).
+     */
+    step(network, gradients) {
+        for (let l = 0; l < network.weights.length; l++) {
+            for (let j = 0; j < network.weights[l].length; j++) {
+                let row = network.weights[l][j];
+                for (let i = 0; i < row.length; i++) {
+                    row[i] -= this.learningRate * gradients.weights[l][j][i];
+                }
+                network.biases[l][j] -= this.learningRate * gradients.biases[l][j];
+            }
+        }
+    }
+}
+
+
+/**
+ * Adam optimizer (Kingma and Ba, 2015): steps are scaled per parameter by running
+ * averages of the gradient and its square, with bias correction for the first steps. The
+ * running averages belong to the network the optimizer was first used with.
+ */
+export class Adam {
+    /**
+     * Instantiate an Adam optimizer.
+     *
+     * @param {number} [learningRate=0.001] Step size.
+     * @param {number} [beta1=0.9] Decay rate of the average gradient.
+     * @param {number} [beta2=0.999] Decay rate of the average squared gradient.
+     * @param {number} [epsilon=1.0e-8] Added to the denominator for numerical stability.
+     */
+    constructor(learningRate=0.001, beta1=0.9, beta2=0.999, epsilon=1.0e-8) {
+        this.learningRate = learningRate;
+        this.beta1 = beta1;
+        this.beta2 = beta2;
+        this.epsilon = epsilon;
+        this.t = 0;
+        this.m = null;
+        this.v = null;
+    }
+
+    /**
+     * Update the parameters of a network.
+     *
+     * @param {MultilayerPerceptron} network The network to update.
+     * @param {Object} gradients Gradients of the loss (see MultilayerPerceptron.gradients()).
+     */
+    step(network, gradients) {
+        if (!this.m) {
+            this.m = network.zeros();
+            this.v = network.zeros();
+        }
+        this.t += 1;
+        const correction1 = 1.0 - Math.pow(this.beta1, this.t);
+        const correction2 = 1.0 - Math.pow(this.beta2, this.t);
+        const update = (params, m, v, grads, index) => {
+            m[index] = this.beta1 * m[index] + (1.0 - this.beta1) * grads[index];
+            v[index] = this.beta2 * v[index] + (1.0 - this.beta2) * grads[index] * grads[index];
+            const mHat = m[index] / correction1;
+            const vHat = v[index] / correction2;
+            params[index] -= this.learningRate * mHat / (Math.sqrt(vHat) + this.epsilon);
+        };
+        for (let l = 0; l < network.weights.length; l++) {
+            for (let j = 0; j < network.weights[l].length; j++) {
+                for (let i = 0; i < network.weights[l][j].length; i++) {
+                    update(network.weights[l][j], this.m.weights[l][j], this.v.weights[l][j],
+                           gradients.weights[l][j], i);
+                }
+                update(network.biases[l], this.m.biases[l], this.v.biases[l], gradients.biases[l], j);
+            }
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,77 @@
+"use strict";
+
+
+export class InvalidSeedError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'InvalidSeedError';
+    }
+}
+
+
+/**
+ * Seedable pseudo-random number generator (mulberry32), used in place of Math.random()
+ * wherever the agents, the page or the training loops make random choices. Generators
+ * created with the same seed produce the same sequence, so a training run can be repeated
+ * exactly by giving the agents (see Agent.setRandom()) and the training loop (see train())
+ * generators with the same seed. It is fast and small rather than cryptographically
+ * strong.
+ */
+export class Random {
+    /**
+     * Instantiate a Random generator.
+     *
+     * @param {number} [seed=Random.randomSeed()] Integer in [0, 2^32).
+     */
+    constructor(seed=Random.randomSeed()) {
+        if (!Number.isInteger(seed) || seed < 0 || seed >= 4294967296) {
+            throw new InvalidSeedError(`Seed must be an integer in [0, 2^32) but is ${seed}.`);
+        }
+        this.seed = seed;
+        // Current state, which is also the seed of a generator that continues the sequence
+        // from here.
+        this.state = seed;
+    }
+
+    /**
+     * Choose a seed at random, for generators that need not be reproducible.
+     *
+     * @return {number} Integer in [0, 2^32).
+     */
+    static randomSeed() {
+        return Math.floor(Math.random() * 4294967296);
+    }
+
+    /**
+     * Get the next number of the sequence.
+     *
+     * @return {number} A number in [0, 1), like Math.random().
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Get a random integer.
+     *
+     * @param {number} n Number of possible values.
+     * @return {number} An integer in [0, n).
+     */
+    integer(n) {
+        return Math.floor(this.next() * n);
+    }
+
+    /**
+     * Choose an element of an array with uniform probability.
+     *
+     * @param {Array(any)} arr An array.
+     * @return {any} An element of arr.
+     */
+    choice(arr) {
+        return arr[this.integer(arr.length)];
+    }
+}
\ No newline at end of file
@@ -0,0 +1,262 @@
+"use strict";
+import { TicTacToe } from './game.js';
+
+
+export class InvalidRecordError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'InvalidRecordError';
+    }
+}
+
+
+// Version of the format of game records. Increment when the format changes.
+export const RECORD_FORMAT_VERSION = 1;
+
+
+/**
+ * Create a record of a finished (or unfinished) game. A record is a plain object that can
+ * be passed to JSON.stringify():
+ *
+ *     {
+ *         version: 1,
+ *         date: '2026-01-01T12:00:00.000Z',   // ISO 8601 time the record was made
+ *         board: {width: 3, height: 3, winLength: 3},
+ *         players: {X: 'human', O: 'QLearningAgent'},
+ *         agent: {type: 'QLearningAgent', hyperparameters: {...}},
+ *         seed: 1234567,   // generator state when the game began, or null
+ *         moves: [4, 0, 8, 2, 1, 7, 6, 3, 5],   // action indices in order of play
+ *         outcome: 'draw',   // 'X', 'O', 'draw' or '' when unfinished
+ *     }
+ *
+ * Action indices count along rows from the top left of the board (see TicTacToe.unroll()).
+ *
+ * @param {TicTacToe} game The game to record.
+ * @param {Object} players Who played each side, e.g. {X: 'human', O: 'QLearningAgent'}.
+ * @param {Agent} [agent=null] The learning agent, whose type and hyperparameters are
+ *     recorded.
+ * @param {number} [seed=null] State of the random number generator when the game began,
+ *     which as the seed of a new generator (see Random) repeats the game's random choices.
+ * @return {Object} Record of the game.
+ */
+export function createRecord(game, players, agent=null, seed=null) {
+    return {
+        version: RECORD_FORMAT_VERSION,
+        date: new Date().toISOString(),
+        board: {width: game.width, height: game.height, winLength: game.winLength},
+        players: {X: players.X, O: players.O},
+        agent: agent ? {type: agent.constructor.name, hyperparameters: agent.getHyperparameters()} : null,
+        seed,
+        moves: game.actionHistory.slice(),
+        outcome: game.checkTermination(),
+    };
+}
+
+
+/**
+ * Play the moves of a record on a new game, checking that every move is valid and that the
+ * recorded outcome matches.
+ *
+ * @param {Object} record Record of a game (see createRecord()).
+ * @param {iterable(elements)} [buttons=null] Button elements to show the game on.
+ * @return {TicTacToe} The game after the recorded moves, whose stateHistory holds every
+ *     position of the game.
+ */
+export function replay(record, buttons=null) {
+    if (!record || !record.board || !Array.isArray(record.moves)) {
+        throw new InvalidRecordError('Record must have a board and a list of moves.');
+    }
+    const {width, height, winLength} = record.board;
+    let game = new TicTacToe('_', buttons, width, height, winLength);
+    for (let action of record.moves) {
+        game.move(action);
+    }
+    const outcome = game.checkTermination();
+    if (record.hasOwnProperty('outcome') && record.outcome !== outcome) {
+        throw new InvalidRecordError(`Record has outcome '${record.outcome}' but its moves` +
+                                     ` end in '${outcome}'.`);
+    }
+    return game;
+}
+
+
+/**
+ * Check that an object is a valid record in the current format.
+ *
+ * @param {Object} record Object to check.
+ * @return {Object} The record.
+ */
+function validate(record) {
+    if (!record || record.version !== RECORD_FORMAT_VERSION) {
+        throw new InvalidRecordError(`Record has format version ${record && record.version}` +
+                                     ` but version ${RECORD_FORMAT_VERSION} is required.`);
+    }
+    replay(record);
+    return record;
+}
+
+
+/**
+ * Name an element of the board by its column letter (a for the leftmost column) and row
+ * number (1 for the top row), e.g. b2 is the centre of a 3x3 board.
+ *
+ * @param {number} index Index of the board element.
+ * @param {number} width Number of columns of the board.
+ * @return {string} Name of the element.
+ */
+export function cellName(index, width) {
+    const {row, col} = TicTacToe.roll(index, width);
+    return `${String.fromCharCode(97 + col)}${row + 1}`;
+}
+
+
+/**
+ * Convert the name of a board element back to its index (see cellName()).
+ *
+ * @param {string} name Name of the element.
+ * @param {number} width Number of columns of the board.
+ * @return {number} Index of the board element.
+ */
+function cellIndex(name, width) {
+    const match = /^([a-z])(\d+)$/.exec(name);
+    if (!match) {
+        throw new InvalidRecordError(`'${name}' is not the name of a board element.`);
+    }
+    return TicTacToe.unroll(Number(match[2]) - 1, match[1].charCodeAt(0) - 97, width);
+}
+
+
+/**
+ * Write a record in text notation. Tags in square brackets, each holding a JSON value,
+ * are followed by the numbered moves and the outcome, e.g.
+ *
+ *     [Version 1]
+ *     [Date "2026-01-01T12:00:00.000Z"]
+ *     [Board "3x3x3"]
+ *     [X "human"]
+ *     [O "QLearningAgent"]
+ *     [Agent {"type":"QLearningAgent","hyperparameters":{...}}]
+ *     [Seed 1234567]
+ *     1. b2 a1 2. c3 c1 3. b1 b3 4. a3 a2 5. c2 draw
+ *
+ * Elements are named as in cellName() and the outcome is X, O, draw or * (unfinished).
+ *
+ * @param {Object} record Record of a game (see createRecord()).
+ * @return {string} The record in text notation.
+ */
+export function recordToText(record) {
+    const {width, height, winLength} = record.board;
+    let lines = [
+        `[Version ${JSON.stringify(record.version)}]`,
+        `[Date ${JSON.stringify(record.date)}]`,
+        `[Board ${JSON.stringify(`${width}x${height}x${winLength}`)}]`,
+        `[X ${JSON.stringify(record.players.X)}]`,
+        `[O ${JSON.stringify(record.players.O)}]`,
+        `[Agent ${JSON.stringify(record.agent)}]`,
+    ];
+    if (record.seed != null) {
+        lines.push(`[Seed ${JSON.stringify(record.seed)}]`);
+    }
+    let moves = [];
+    for (let [ply, action] of record.moves.entries()) {
+        if (ply % 2 === 0) {
+            moves.push(`${ply / 2 + 1}.`);
+        }
+        moves.push(cellName(action, width));
+    }
+    moves.push(record.outcome || '*');
+    lines.push(moves.join(' '));
+    return lines.join('\n');
+}
+
+
+/**
+ * Read one record from text notation (see recordToText()).
+ *
+ * @param {string} text A record in text notation.
+ * @return {Object} Record of the game.
+ */
+export function recordFromText(text) {
+    let tags = {};
+    let moveText = [];
+    for (let line of text.split(/\r?\n/)) {
+        line = line.trim();
+        const tag = /^\[(\w+) (.*)\]$/.exec(line);
+        if (tag) {
+            try {
+                tags[tag[1]] = JSON.parse(tag[2]);
+            } catch (error) {
+                throw new InvalidRecordError(`Tag ${tag[1]} does not hold a JSON value.`);
+            }
+        } else if (line) {
+            moveText.push(line);
+        }
+    }
+
+    const board = /^(\d+)x(\d+)x(\d+)$/.exec(tags.Board || '');
+    if (!board) {
+        throw new InvalidRecordError('Record must have a Board tag such as "3x3x3".');
+    }
+    const [width, height, winLength] = board.slice(1).map(Number);
+    let tokens = moveText.join(' ').split(/\s+/).filter((token) => token && !/^\d+\.$/.test(token));
+    let outcome = null;
+    if (['X', 'O', 'draw', '*'].includes(tokens[tokens.length - 1])) {
+        outcome = tokens.pop();
+    }
+    let record = {
+        version: tags.Version,
+        date: tags.Date || null,
+        board: {width, height, winLength},
+        players: {X: tags.X || null, O: tags.O || null},
+        agent: tags.Agent || null,
+        seed: tags.hasOwnProperty('Seed') ? tags.Seed : null,
+        moves: tokens.map((token) => cellIndex(token, width)),
+    };
+    if (outcome == null) {
+        // Without an outcome, the moves decide it.
+        record.outcome = replay(record).checkTermination();
+    } else {
+        record.outcome = outcome == '*' ? '' : outcome;
+    }
+    return validate(record);
+}
+
+
+/**
+ * Write a list of records as a JSON document: {"version": 1, "games": [record, ...]}.
+ *
+ * @param {Array(Object)} records Records of games (see createRecord()).
+ * @return {string} The JSON document.
+ */
+export function recordsToJSON(records) {
+    return JSON.stringify({version: RECORD_FORMAT_VERSION, games: records});
+}
+
+
+/**
+ * Read records from a JSON document written by recordsToJSON() (or a single JSON record),
+ * or from one or more records in text notation separated by blank lines. Every record is
+ * checked by replaying its moves.
+ *
+ * @param {string} text The document.
+ * @return {Array(Object)} Records of games.
+ */
+export function recordsFromText(text) {
+    if (/^\s*\{/.test(text)) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new InvalidRecordError(`Unable to parse JSON: ${error.message}`);
+        }
+        if (Array.isArray(data.games)) {
+            if (data.version !== RECORD_FORMAT_VERSION) {
+                throw new InvalidRecordError(`Games have format version ${data.version} but` +
+                                             ` version ${RECORD_FORMAT_VERSION} is required.`);
+            }
+            return data.games.map(validate);
+        }
+        return [validate(data)];
+    }
+    return text.split(/\r?\n\s*\r?\n/).filter((part) => part.trim()).map(recordFromText);
+}
\ No newline at end of file
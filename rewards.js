@@ -1,3 +1,11 @@
+class UnknownRewardError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UnknownRewardError';
+    }
+}
+
+
 /**
  * Compute only a terminal reward. If player wins, reward is 1; if
  * loses, reward is -1; and otherwise 0. All rewards for non-terminal
@@ -18,4 +26,169 @@ export function terminalOnly(game, player, horizon=null) {
     } else {
         return -1.0;
     }
+}
+
+/**
+ * Create a reward function that only rewards terminal states, with configurable values
+ * for a win, a draw and a loss. All rewards for non-terminal states are 0.
+ * 
+ * @param {number} [win=1.0] Reward when player wins.
+ * @param {number} [draw=0.0] Reward when the game is a draw.
+ * @param {number} [loss=-1.0] Reward when player loses.
+ * @return {function} Reward function that takes in game, player and horizon.
+ */
+export function terminalReward(win=1.0, draw=0.0, loss=-1.0) {
+    return (game, player, horizon=null) => {
+        let outcome = game.checkTermination(horizon);
+        if (outcome == player) {
+            return win;
+        } else if (outcome == 'draw') {
+            return draw;
+        } else if (!outcome) {
+            return 0.0;
+        } else {
+            return loss;
+        }
+    };
+}
+
+
+/**
+ * Create a reward function that subtracts a penalty from every reward of another reward
+ * function. Since every move costs the penalty, quicker wins (and slower losses) earn a
+ * larger return.
+ * 
+ * @param {number} [penalty=0.05] Penalty subtracted for each move.
+ * @param {function} [baseFunc=terminalOnly] Reward function that is penalized.
+ * @return {function} Reward function that takes in game, player and horizon.
+ */
+export function stepPenaltyReward(penalty=0.05, baseFunc=terminalOnly) {
+    return (game, player, horizon=null) => baseFunc(game, player, horizon) - penalty;
+}
+
+
+/**
+ * Find the empty elements where player would complete a line of the game's win length.
+ * 
+ * @param {TicTacToe} game An instantiation of TicTacToe.
+ * @param {Array(string)} state State of the game board.
+ * @param {string} player Player token from 'X' and 'O'.
+ * @return {Set(number)} Indices of the winning elements.
+ */
+function winningCells(game, state, player) {
+    let cells = new Set();
+    for (let line of game.lines) {
+        const empty = line.filter((index) => state[index] == game.nll);
+        const own = line.filter((index) => state[index] == player);
+        if (empty.length == 1 && own.length == line.length - 1) {
+            cells.add(empty[0]);
+        }
+    }
+    return cells;
+}
+
+
+/**
+ * Describe the most recent move made by player before the state at horizon: how many
+ * lines through the move are one element short of a win (threats), how many opponent
+ * threats it occupied (blocks), and whether it left player with at least two winning
+ * elements where there were fewer before (a fork).
+ * 
+ * @param {TicTacToe} game An instantiation of TicTacToe.
+ * @param {string} player Player token from 'X' and 'O'.
+ * @param {number} [horizon=null] Index of the state in the game's stateHistory, or null
+ *     for the current state.
+ * @return {Object|null} Counts of threats and blocks and the fork flag, or null when
+ *     player has not moved yet.
+ */
+function describeMove(game, player, horizon=null) {
+    const end = horizon == null ? game.stateHistory.length - 1 : horizon;
+    // 'X' moves on even indices of the history and 'O' on odd indices.
+    let index = end - 1;
+    if ((index % 2 == 0 ? 'X' : 'O') != player) {
+        index -= 1;
+    }
+    if (index < 0) {
+        return null;
+    }
+
+    const opponent = player == 'X' ? 'O' : 'X';
+    const before = game.stateHistory[index];
+    const after = game.stateHistory[index + 1];
+    const action = game.actionHistory[index];
+    const wins = winningCells(game, after, player);
+    let threats = 0;
+    for (let line of game.lines) {
+        if (line.includes(action)) {
+            const empty = line.filter((cell) => after[cell] == game.nll);
+            const own = line.filter((cell) => after[cell] == player);
+            if (empty.length == 1 && own.length == line.length - 1) {
+                threats += 1;
+            }
+        }
+    }
+    return {
+        threats,
+        blocks: winningCells(game, before, opponent).has(action) ? 1 : 0,
+        fork: wins.size >= 2 && winningCells(game, before, player).size < 2,
+    };
+}
+
+
+/**
+ * Create a reward function that adds shaping bonuses to another reward function for
+ * player's most recent move: creating threats (lines one element short of a win, i.e.
+ * two in a row on the classic board), blocking an opponent threat and making a fork
+ * (two or more threats at once). Each move is rewarded once, on the first state after
+ * it where player is to move (or the terminal state).
+ * 
+ * @param {number} [threat=0.1] Bonus for each threat created.
+ * @param {number} [block=0.1] Bonus for blocking an opponent threat.
+ * @param {number} [fork=0.2] Bonus for making a fork.
+ * @param {function} [baseFunc=terminalOnly] Reward function that is shaped.
+ * @return {function} Reward function that takes in game, player and horizon.
+ */
+export function shapedReward(threat=0.1, block=0.1, fork=0.2, baseFunc=terminalOnly) {
+    return (game, player, horizon=null) => {
+        let reward = baseFunc(game, player, horizon);
+        const move = describeMove(game, player, horizon);
+        if (move) {
+            reward += threat * move.threats + block * move.blocks + (move.fork ? fork : 0.0);
+        }
+        return reward;
+    };
+}
+
+
+// Reward functions that can be created by name from a list of numbers (see createReward()).
+const rewardFactories = {
+    terminal: (win, draw, loss) => terminalReward(win, draw, loss),
+    stepPenalty: (win, draw, loss, penalty) => stepPenaltyReward(
+        penalty, terminalReward(win, draw, loss),
+    ),
+    shaped: (win, draw, loss, threat, block, fork) => shapedReward(
+        threat, block, fork, terminalReward(win, draw, loss),
+    ),
+};
+
+
+/**
+ * Create a reward function by name, so that a choice of reward function can be passed
+ * around as plain data (e.g. to a Web Worker):
+ *
+ * - 'terminal': terminalReward(win, draw, loss)
+ * - 'stepPenalty': stepPenaltyReward(penalty) of terminalReward(win, draw, loss), with
+ *   values [win, draw, loss, penalty]
+ * - 'shaped': shapedReward(threat, block, fork) of terminalReward(win, draw, loss), with
+ *   values [win, draw, loss, threat, block, fork]
+ * 
+ * @param {string} name Name of the reward function.
+ * @param {Array(number)} values Parameters of the reward function in the order above.
+ * @return {function} Reward function that takes in game, player and horizon.
+ */
+export function createReward(name, values) {
+    if (!rewardFactories.hasOwnProperty(name)) {
+        throw new UnknownRewardError(`Unknown reward function ${name}.`);
+    }
+    return rewardFactories[name](...values);
 }
\ No newline at end of file
@@ -0,0 +1,128 @@
+"use strict";
+
+
+/**
+ * Running score of a human playing against the computer. Results are counted separately
+ * for each side the human played, along with the current and longest streaks and the
+ * results of the most recent games, so that the human's recent results can be compared
+ * with the games before them to see whether the computer is getting harder to beat.
+ */
+export class Scoreboard {
+    /**
+     * Instantiate an empty Scoreboard.
+     *
+     * @param {number} [windowSize=20] Number of games in each rolling window.
+     */
+    constructor(windowSize=20) {
+        this.windowSize = windowSize;
+        this.clear();
+    }
+
+    /**
+     * Forget every result.
+     */
+    clear() {
+        this.totals = {
+            X: {wins: 0, draws: 0, losses: 0},
+            O: {wins: 0, draws: 0, losses: 0},
+        };
+        // Results of the most recent games from the human's perspective, oldest first.
+        this.recent = [];
+        // Current run of equal results.
+        this.streak = {result: null, length: 0};
+        // Longest run of human wins and longest run of games the human did not win.
+        this.longestWinStreak = 0;
+        this.longestUnbeatenStreak = 0;
+        this.unbeatenLength = 0;
+    }
+
+    /**
+     * Add the result of a game.
+     *
+     * @param {string} side The human's player token from 'X' and 'O'.
+     * @param {string} outcome Outcome of the game from 'X', 'O' and 'draw'.
+     * @return {string} The result from the human's perspective: 'win', 'draw' or 'loss'.
+     */
+    add(side, outcome) {
+        let result;
+        if (outcome == 'draw') {
+            result = 'draw';
+        } else if (outcome == side) {
+            result = 'win';
+        } else {
+            result = 'loss';
+        }
+        const counts = {win: 'wins', draw: 'draws', loss: 'losses'};
+        this.totals[side][counts[result]] += 1;
+
+        if (this.streak.result == result) {
+            this.streak.length += 1;
+        } else {
+            this.streak = {result, length: 1};
+        }
+        if (result == 'win') {
+            this.longestWinStreak = Math.max(this.longestWinStreak, this.streak.length);
+            this.unbeatenLength = 0;
+        } else {
+            this.unbeatenLength += 1;
+            this.longestUnbeatenStreak = Math.max(this.longestUnbeatenStreak, this.unbeatenLength);
+        }
+
+        // Keep enough results for the current and previous windows.
+        this.recent.push(result);
+        if (this.recent.length > 2 * this.windowSize) {
+            this.recent.shift();
+        }
+        return result;
+    }
+
+    /**
+     * Summarize the human's results over the most recent games and over the games before
+     * them.
+     *
+     * @return {Object} For the current and previous windows, the number of games and the
+     *     human's win, draw and loss rates. The previous window has no games until more
+     *     than windowSize games have been played.
+     */
+    windows() {
+        const summarize = (results) => {
+            const games = results.length;
+            const rate = (result) => games ? results.filter((r) => r == result).length / games : 0;
+            return {games, winRate: rate('win'), drawRate: rate('draw'), lossRate: rate('loss')};
+        };
+        const split = Math.max(0, this.recent.length - this.windowSize);
+        return {
+            current: summarize(this.recent.slice(split)),
+            previous: summarize(this.recent.slice(0, split)),
+        };
+    }
+
+    /**
+     * Serialize the scoreboard into a plain object that can be passed to JSON.stringify().
+     *
+     * @return {Object} The state of the scoreboard.
+     */
+    toJSON() {
+        return {
+            windowSize: this.windowSize,
+            totals: this.totals,
+            recent: this.recent,
+            streak: this.streak,
+            longestWinStreak: this.longestWinStreak,
+            longestUnbeatenStreak: this.longestUnbeatenStreak,
+            unbeatenLength: this.unbeatenLength,
+        };
+    }
+
+    /**
+     * Create a scoreboard from an object produced by toJSON().
+     *
+     * @param {Object} data The state of a scoreboard.
+     * @return {Scoreboard} The restored scoreboard.
+     */
+    static fromJSON(data) {
+        let scoreboard = new Scoreboard(data.windowSize);
+        Object.assign(scoreboard, data);
+        return scoreboard;
+    }
+}
\ No newline at end of file
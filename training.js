@@ -0,0 +1,191 @@
+"use strict";
+import { TicTacToe } from './game.js';
+
+
+/**
+ * Make the next move of a game between two agents and let them learn from it as
+ * playEpisode() does. The agent to move (and, when learning, its opponent) takes the
+ * player token of its side. When agentX and agentO are the same instance (self-play),
+ * the agent only learns once at the end of the episode.
+ *
+ * @param {TicTacToe} game A TicTacToe instance that has not terminated.
+ * @param {Agent} agentX Agent playing as 'X'.
+ * @param {Agent} agentO Agent playing as 'O'.
+ * @param {function} rewardFunc Reward function that takes in game and player and
+ *     returns a numeric reward.
+ * @param {boolean} [learn=true] When false, the agents play without learning.
+ * @return {string} Outcome of the game after the move: 'X', 'O', 'draw' or ''.
+ */
+export function playMove(game, agentX, agentO, rewardFunc, learn=true) {
+    const selfPlay = agentX === agentO;
+    let [agent, opponent] = game.currentPlayer == 'X' ? [agentX, agentO] : [agentO, agentX];
+    agent.player = game.currentPlayer;
+    game.move(agent.policy(game));
+
+    const outcome = game.checkTermination();
+    if (!learn) {
+        return outcome;
+    }
+    if (outcome) {
+        // Game is complete. Both agents learn from the full episode.
+        agent.learn(game, rewardFunc);
+        if (!selfPlay) {
+            opponent.player = agent.player == 'X' ? 'O' : 'X';
+            opponent.learn(game, rewardFunc);
+        }
+    } else if (!selfPlay && game.actionHistory.length > 1) {
+        // The opponent may learn once both players have moved at least once.
+        opponent.player = game.currentPlayer;
+        opponent.learn(game, rewardFunc);
+    }
+    return outcome;
+}
+
+
+/**
+ * Play a single episode of tic-tac-toe between two agents without touching the page. The
+ * agents learn at the same points as they would against a human in GameHandler: after
+ * each opponent move once both players have moved, and once when the game terminates. When
+ * agentX and agentO are the same instance (self-play), the agent only learns once at the
+ * end of the episode, so it should be an agent that learns from both players' moves (e.g.
+ * QLearningAgent). The agents' player tokens are restored when the episode ends.
+ *
+ * @param {TicTacToe} game A TicTacToe instance, normally with buttons=null. It is reset
+ *     before play begins.
+ * @param {Agent} agentX Agent playing as 'X'.
+ * @param {Agent} agentO Agent playing as 'O'.
+ * @param {function} rewardFunc Reward function that takes in game and player and
+ *     returns a numeric reward.
+ * @param {boolean} [learn=true] When false, the agents play without learning.
+ * @return {Object} The outcome ('X', 'O' or 'draw'), the winning agent (null for a draw)
+ *     and the number of moves made.
+ */
+export function playEpisode(game, agentX, agentO, rewardFunc, learn=true) {
+    const playerX = agentX.player;
+    const playerO = agentO.player;
+
+    game.reset();
+    try {
+        let outcome = '';
+        while (!outcome) {
+            outcome = playMove(game, agentX, agentO, rewardFunc, learn);
+        }
+
+        let winner = null;
+        if (outcome == 'X') {
+            winner = agentX;
+        } else if (outcome == 'O') {
+            winner = agentO;
+        }
+        return {outcome, winner, moves: game.actionHistory.length};
+    } finally {
+        agentX.player = playerX;
+        agentO.player = playerO;
+    }
+}
+
+
+/**
+ * Train two agents against each other (or one agent against itself) for a number of
+ * episodes.
+ *
+ * @param {Agent} agentX Agent playing as 'X' (or as 'O' in odd episodes when alternating).
+ * @param {Agent} agentO Agent playing as 'O' (or as 'X' in odd episodes when alternating).
+ * @param {function} rewardFunc Reward function that takes in game and player and
+ *     returns a numeric reward.
+ * @param {number} episodes Number of episodes to play.
+ * @param {Object} [options={}] Optional settings.
+ * @param {TicTacToe} [options.game=null] Game to play on. A new TicTacToe is created when null.
+ * @param {boolean} [options.alternate=false] Swap which agent plays 'X' every episode.
+ * @param {boolean} [options.learn=true] When false, the agents play without learning.
+ * @param {function} [options.onEpisode=null] Called with the episode index and its result
+ *     after each episode.
+ * @param {Random} [options.random=null] Random number generator (see random.js) given to
+ *     both agents (see Agent.setRandom()). Two runs with generators of the same seed and
+ *     agents in the same starting state learn exactly the same values.
+ * @return {Array(Object)} The result of each episode (see playEpisode()).
+ */
+export function train(agentX, agentO, rewardFunc, episodes, options={}) {
+    const game = options.game || new TicTacToe();
+    if (options.random) {
+        agentX.setRandom(options.random);
+        agentO.setRandom(options.random);
+    }
+    let results = [];
+    for (let episode = 0; episode < episodes; episode++) {
+        let result;
+        if (options.alternate && episode % 2 === 1) {
+            result = playEpisode(game, agentO, agentX, rewardFunc, options.learn !== false);
+        } else {
+            result = playEpisode(game, agentX, agentO, rewardFunc, options.learn !== false);
+        }
+        results.push(result);
+        if (options.onEpisode) {
+            options.onEpisode(episode, result);
+        }
+    }
+    return results;
+}
+
+
+/**
+ * Train in batches of episodes, yielding to the event loop between batches so that a page
+ * stays responsive while training runs in the background (and so that a Web Worker can
+ * receive messages while it trains). Accepts the same arguments as train() plus the
+ * options below.
+ *
+ * @param {Agent} agentX Agent playing as 'X'.
+ * @param {Agent} agentO Agent playing as 'O'.
+ * @param {function} rewardFunc Reward function that takes in game and player and
+ *     returns a numeric reward.
+ * @param {number} episodes Number of episodes to play.
+ * @param {Object} [options={}] Optional settings; see train().
+ * @param {number} [options.batchSize=100] Number of episodes played between yields.
+ * @param {function} [options.onProgress=null] Called with the number of completed episodes
+ *     and the total after each batch.
+ * @param {Object} [options.control=null] Checked between batches: while control.paused is
+ *     true, training waits, and once control.cancelled is true, training stops early.
+ * @return {Promise(Array(Object))} Resolves to the result of each episode played, which
+ *     is fewer than episodes when cancelled.
+ */
+export function trainInBatches(agentX, agentO, rewardFunc, episodes, options={}) {
+    const batchSize = options.batchSize || 100;
+    const game = options.game || new TicTacToe();
+    const control = options.control || {};
+    let results = [];
+    return new Promise((resolve, reject) => {
+        const runBatch = () => {
+            if (control.cancelled) {
+                resolve(results);
+                return;
+            } else if (control.paused) {
+                setTimeout(runBatch, 100);
+                return;
+            }
+            try {
+                const size = Math.min(batchSize, episodes - results.length);
+                // Keep alternating sides consistently across batch boundaries.
+                const swap = options.alternate && results.length % 2 === 1;
+                const batch = train(
+                    swap ? agentO : agentX,
+                    swap ? agentX : agentO,
+                    rewardFunc,
+                    size,
+                    Object.assign({}, options, {game}),
+                );
+                results.push(...batch);
+                if (options.onProgress) {
+                    options.onProgress(results.length, episodes);
+                }
+                if (results.length < episodes) {
+                    setTimeout(runBatch, 0);
+                } else {
+                    resolve(results);
+                }
+            } catch (error) {
+                reject(error);
+            }
+        };
+        setTimeout(runBatch, 0);
+    });
+}
\ No newline at end of file
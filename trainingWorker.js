@@ -0,0 +1,160 @@
+"use strict";
+/*
+ * Web Worker that trains and evaluates agents away from the page's main thread, so that
+ * the board stays responsive during long training runs (see GameHandler.trainAgent()).
+ * Start it as a module worker:
+ *
+ *     new Worker(new URL('./trainingWorker.js', import.meta.url), {type: 'module'})
+ *
+ * Commands posted to the worker:
+ *
+ *     {command: 'train', agent, board, reward, opponent, episodes, batchSize, seed}
+ *         agent: the agent to train as produced by Agent.save(); board: {width, height,
+ *         winLength}; reward: {name, values} (see createReward()); opponent: 'self' or
+ *         'random'; seed: optional seed of the generator the agent and opponent share
+ *         (see Random). The agent plays both sides.
+ *     {command: 'evaluate', agent, board, games, seed}
+ *     {command: 'pause'}, {command: 'resume'}, {command: 'cancel'}
+ *
+ * Messages posted back:
+ *
+ *     {type: 'progress', done, total, agent}   after every batch, with a snapshot of the agent
+ *     {type: 'trained', summary, cancelled, agent}   summary: {games, wins, draws, losses}
+ *     {type: 'evaluated', report}   report: see evaluate()
+ *     {type: 'error', message}
+ *
+ * One command runs at a time; a train or evaluate command sent while another is running
+ * is answered with an error.
+ */
+import { TicTacToe } from './game.js';
+import { IncompatibleAgentError, RandomAgent, agentRegistry } from './agent.js';
+import { createReward } from './rewards.js';
+import { trainInBatches } from './training.js';
+import { evaluate } from './evaluation.js';
+import { disableLogging } from './logger.js';
+import { Random } from './random.js';
+
+
+class UnknownCommandError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UnknownCommandError';
+    }
+}
+
+
+/**
+ * Recreate an agent from an object produced by Agent.save().
+ *
+ * @param {Object} data Saved agent.
+ * @return {Agent} The restored agent.
+ */
+function restoreAgent(data) {
+    if (!agentRegistry.has(data.type)) {
+        throw new IncompatibleAgentError(`Unknown agent type ${data.type}.`);
+    }
+    let agent = new (agentRegistry.get(data.type).AgentType)('X');
+    agent.load(data);
+    return agent;
+}
+
+
+/**
+ * Create a game without buttons on a board.
+ *
+ * @param {Object} board Width, height and win length of the board.
+ * @return {TicTacToe} A new game.
+ */
+function createGame(board) {
+    return new TicTacToe('_', null, board.width, board.height, board.winLength);
+}
+
+
+// Pause and cancel flags of the training run in progress (see trainInBatches()), or null.
+let control = null;
+let busy = false;
+
+
+/**
+ * Train the agent of a train command and report progress and the result.
+ *
+ * @param {Object} message The train command.
+ * @return {Promise} Resolves once the result has been posted.
+ */
+function trainCommand(message) {
+    const agent = restoreAgent(message.agent);
+    const opponent = message.opponent == 'self' ? agent : new RandomAgent('O');
+    control = {paused: false, cancelled: false};
+    return trainInBatches(agent, opponent, createReward(message.reward.name, message.reward.values),
+                          message.episodes, {
+        game: createGame(message.board),
+        alternate: true,
+        batchSize: message.batchSize || 500,
+        random: message.seed == null ? null : new Random(message.seed),
+        control,
+        onProgress: (done, total) => {
+            self.postMessage({type: 'progress', done, total, agent: agent.save()});
+        },
+    }).then((results) => {
+        const wins = results.filter((result) => result.winner === agent).length;
+        const draws = results.filter((result) => result.outcome == 'draw').length;
+        self.postMessage({
+            type: 'trained',
+            summary: {games: results.length, wins, draws, losses: results.length - wins - draws},
+            cancelled: control.cancelled,
+            agent: agent.save(),
+        });
+    });
+}
+
+
+/**
+ * Evaluate the agent of an evaluate command and post the report.
+ *
+ * @param {Object} message The evaluate command.
+ */
+function evaluateCommand(message) {
+    const agent = restoreAgent(message.agent);
+    const report = evaluate(agent, {
+        games: message.games || 100,
+        game: createGame(message.board),
+        random: message.seed == null ? null : new Random(message.seed),
+    });
+    self.postMessage({type: 'evaluated', report});
+}
+
+
+disableLogging();
+self.onmessage = (event) => {
+    const message = event.data;
+    if (message.command == 'pause' || message.command == 'resume') {
+        if (control) {
+            control.paused = message.command == 'pause';
+        }
+        return;
+    } else if (message.command == 'cancel') {
+        if (control) {
+            control.cancelled = true;
+        }
+        return;
+    }
+
+    if (busy) {
+        self.postMessage({type: 'error', message: `Cannot ${message.command} while busy.`});
+        return;
+    }
+    busy = true;
+    Promise.resolve().then(() => {
+        if (message.command == 'train') {
+            return trainCommand(message);
+        } else if (message.command == 'evaluate') {
+            return evaluateCommand(message);
+        }
+        throw new UnknownCommandError(`Unknown command ${message.command}.`);
+    }).catch((error) => {
+        self.postMessage({type: 'error', message: error.message});
+    }).finally(() => {
+        busy = false;
+        control = null;
+    });
+};
\ No newline at end of file
@@ -1,231 +1,2182 @@
 import { TicTacToe } from './game.js';
-import { RandomAgent, MonteCarloAgent, QLearningAgent } from './agent.js';
-import { terminalOnly } from './rewards.js';
-import { disableLogging } from './logger.js';
-
-
-// Convert grid button id to a state array index.
-const idToIndex = new Map(Object.entries({
-    topLeft:      0,
-    topCenter:    1,
-    topRight:     2,
-    centerLeft:   3,
-    centerCenter: 4,
-    centerRight:  5,
-    bottomLeft:   6,
-    bottomCenter: 7,
-    bottomRight:  8,
+import { RandomAgent, MinimaxAgent, agentRegistry, decodeKey } from './agent.js';
+import { terminalReward, createReward } from './rewards.js';
+import { playMove, trainInBatches } from './training.js';
+import { evaluate } from './evaluation.js';
+import { explorationFromJSON } from './exploration.js';
+import { createRecord, replay, recordToText, recordsToJSON, recordsFromText } from './record.js';
+import { Scoreboard } from './scoreboard.js';
+import { LOG_CHANNELS, logger, formatEntry } from './logger.js';
+import { InvalidSeedError, Random } from './random.js';
+import { InvalidPatternError, tableEntries, parsePattern, filterEntries, sortEntries } from './inspector.js';
+
+
+// Key prefix under which each type of agent is autosaved in the browser's localStorage.
+// Before each type had its own save, the agent was autosaved under this key itself.
+const agentStorageKey = 'xo-rl-js.agent';
+// Key under which the selected type of agent is stored in the browser's localStorage.
+const agentTypeStorageKey = 'xo-rl-js.agentType';
+// Key under which the type of the learning agent that guides search agents (e.g.
+// MCTSAgent) is stored in the browser's localStorage.
+const guideStorageKey = 'xo-rl-js.guide';
+// Key under which the selected reward function is stored in the browser's localStorage.
+const rewardStorageKey = 'xo-rl-js.reward';
+// Key under which the human's scoreboard is stored in the browser's localStorage.
+const scoreboardStorageKey = 'xo-rl-js.scoreboard';
+// Key under which the debug settings are stored in the browser's localStorage.
+const debugStorageKey = 'xo-rl-js.debug';
+
+
+// Ids of the checkboxes of the debug panel that turn each log channel on and off.
+const logChannelFields = {game: 'logGame', agent: 'logAgent', ui: 'logUi'};
+
+
+// Reward functions that may be selected in the page and the ids of the fields holding
+// their parameters, in the order createReward() takes them.
+const rewardTypes = new Map(Object.entries({
+    terminal: {
+        fields: ['rewardWin', 'rewardDraw', 'rewardLoss'],
+    },
+    stepPenalty: {
+        fields: ['rewardWin', 'rewardDraw', 'rewardLoss', 'rewardPenalty'],
+    },
+    shaped: {
+        fields: ['rewardWin', 'rewardDraw', 'rewardLoss', 'rewardThreat', 'rewardBlock', 'rewardFork'],
+    },
 }));
 
 
-// Convert a state array index into a button id.
-const indexToId = new Map(function() {
-    let keyValue = [];
-    for (let [key, value] of idToIndex.entries()) {
-        keyValue.push([value, key]);
+// Distance in pixels between the top-left corners of neighbouring grid buttons.
+const gridPitch = 45;
+
+// Number of entries listed at once in the Q-table panel.
+const inspectorRows = 50;
+
+
+/**
+ * Convert a grid button id to a state array index.
+ * 
+ * @param {string} buttonId The id of a grid button (see indexToId).
+ * @return {number} Index of the state array.
+ */
+function idToIndex(buttonId) {
+    return Number(buttonId.slice('cell'.length));
+}
+
+
+/**
+ * Convert a state array index into a grid button id.
+ * 
+ * @param {number} index Index of the state array.
+ * @return {string} The id of a grid button.
+ */
+function indexToId(index) {
+    return `cell${index}`;
+}
+
+
+/**
+ * Create grid buttons for a board in a container element, replacing its contents.
+ * 
+ * @param {element} container Element holding the grid.
+ * @param {number} width Number of columns of the board.
+ * @param {number} height Number of rows of the board.
+ * @param {function} idFunc Converts a state array index into a button id.
+ * @return {Array(element)} The buttons in the order of the state array.
+ */
+function createGrid(container, width, height, idFunc) {
+    container.innerHTML = '';
+    container.style.width = `${gridPitch * width + 5}px`;
+    container.style.height = `${gridPitch * height + 5}px`;
+
+    let buttons = [];
+    for (let index = 0; index < width * height; index++) {
+        const {row, col} = TicTacToe.roll(index, width);
+        let button = document.createElement('button');
+        button.id = idFunc(index);
+        button.className = 'gridButton';
+        button.style.top = `${row * gridPitch}px`;
+        button.style.left = `${col * gridPitch}px`;
+        button.innerHTML = '&nbsp;';
+        container.appendChild(button);
+        buttons.push(button);
+    }
+    return buttons;
+}
+
+
+/**
+ * Show a position of a game on grid buttons and colour every valid move by what an agent
+ * has learned about making it, from the perspective of the player to move. Values range
+ * from red (losing) through yellow to green (winning); counts from white to blue.
+ * 
+ * @param {Array(element)} buttons Grid buttons in the order of the state array.
+ * @param {TicTacToe} game The game whose position is shown.
+ * @param {number|null} horizon Index of the position in the game's stateHistory, or null
+ *     for the current position.
+ * @param {Agent} agent The agent whose Q-function (or countQ) is shown.
+ * @param {string} mode 'off', 'values' for the Q-function or 'counts' for the number of
+ *     times the agent has updated each state/action pair (countQ).
+ */
+function paintHeatmap(buttons, game, horizon, agent, mode) {
+    const state = horizon == null ? game.state : game.stateHistory[horizon];
+    for (let [index, button] of buttons.entries()) {
+        button.style.backgroundColor = '';
+        button.style.outline = '';
+        button.title = '';
+        if (state[index] == game.nll) {
+            button.innerHTML = '&nbsp;';
+        } else {
+            button.innerText = state[index];
+        }
+    }
+    if (mode == 'off' || game.checkTermination(horizon)) {
+        return;
+    }
+
+    agent.setBoard(game);
+    const validActions = game.getValidActions(horizon);
+    let numbers;
+    if (mode == 'counts') {
+        numbers = validActions.map((action) => agent.countQ.get(agent.getKey(state, action)) || 0);
+    } else {
+        numbers = validActions.map((action) => agent.actionValue(state, action) || 0.0);
+    }
+    // Scale values so that rewards of +/-1 (or the largest magnitude) reach full colour.
+    const scale = Math.max(1.0, ...numbers.map(Math.abs));
+    for (let [index, action] of validActions.entries()) {
+        const number = numbers[index];
+        let button = buttons[action];
+        if (mode == 'counts') {
+            const lightness = 100 - 45 * number / scale;
+            button.style.backgroundColor = `hsl(210, 80%, ${lightness}%)`;
+            button.innerHTML = `<span class="heatLabel">${number}</span>`;
+        } else {
+            const hue = 60 * (1 + number / scale);
+            button.style.backgroundColor = `hsl(${hue}, 80%, 70%)`;
+            button.innerHTML = `<span class="heatLabel">${number.toFixed(2)}</span>`;
+        }
+        button.title = `${mode == 'counts' ? 'count' : 'Q'}: ${number}`;
+    }
+}
+
+
+/**
+ * Restore an agent from its autosave in the browser's localStorage, if there is one. An
+ * unreadable or incompatible save is ignored and the agent is left as it is.
+ * 
+ * @param {Agent} agent The agent to restore.
+ * @return {boolean} Whether a saved agent was restored.
+ */
+function loadAutosave(agent) {
+    try {
+        const data = window.localStorage.getItem(`${agentStorageKey}.${agent.constructor.name}`);
+        if (data) {
+            agent.load(data);
+            return true;
+        }
+    } catch (error) {
+        logger.warn('ui', 'restoreFailed', {item: 'agent', type: agent.constructor.name, error: String(error)});
+    }
+    return false;
+}
+
+
+/**
+ * Create a small board showing the position of a table entry, with the move of the entry
+ * highlighted.
+ * 
+ * @param {Object} entry Entry of a table (see tableEntries()).
+ * @return {element} The board.
+ */
+function createMiniBoard(entry) {
+    let board = document.createElement('div');
+    board.className = 'miniBoard';
+    board.style.gridTemplateColumns = `repeat(${entry.width}, 16px)`;
+    for (let [index, piece] of entry.state.entries()) {
+        let cell = document.createElement('span');
+        cell.className = index == entry.action ? 'miniCell miniAction' : 'miniCell';
+        if (piece == 'X' || piece == 'O') {
+            cell.innerText = piece;
+        } else {
+            cell.innerHTML = '&nbsp;';
+        }
+        board.appendChild(cell);
+    }
+    return board;
+}
+
+
+/**
+ * Read a number field of the Q-table panel.
+ * 
+ * @param {string} id Id of the field.
+ * @return {number|null} The number, or null when the field is empty or invalid (in which
+ *     case it is cleared).
+ */
+function readOptionalNumber(id) {
+    let field = document.getElementById(id);
+    const text = field.value.trim();
+    if (text === '' || !Number.isFinite(Number(text))) {
+        field.value = '';
+        return null;
+    }
+    return Number(text);
+}
+
+
+/**
+ * Check whether a game is played on the classic board: 3 x 3 with 3 in a row. Perfect
+ * play and evaluation search every game, which is only feasible on the classic board.
+ * 
+ * @param {TicTacToe} game A TicTacToe instance.
+ * @return {boolean} Whether the board is the classic board.
+ */
+function isClassic(game) {
+    return game.width == 3 && game.height == 3 && game.winLength == 3;
+}
+
+
+// Parameter of each exploration strategy in the page and the values it may take.
+const explorationParameters = {
+    epsilonGreedy: {name: 'epsilon', isValid: (value) => value >= 0.0 && value <= 1.0},
+    boltzmann: {name: 'temperature', isValid: (value) => value > 0.0},
+    ucb: {name: 'c', isValid: (value) => value >= 0.0},
+};
+
+
+/**
+ * Get the id of the field of a hyperparameter in the parameter form.
+ * 
+ * @param {string} name Name of the hyperparameter (see Agent.parameterSchema()).
+ * @return {string} The id of the field.
+ */
+function parameterId(name) {
+    return `${name}Parameter`;
+}
+
+
+/**
+ * Create the rows of the parameter form for a type of agent.
+ * 
+ * @param {function} AgentType Class of the agent (see Agent.parameterSchema()).
+ * @return {string} HTML of the table rows.
+ */
+function parameterRows(AgentType) {
+    let rows = [];
+    for (let parameter of AgentType.parameterSchema()) {
+        if (parameter.type == 'exploration') {
+            // Exploration strategies have a type and a schedule for their parameter (see
+            // readExploration()).
+            rows.push(
+                `<tr><td align="right">${parameter.label}:</td> <td>` +
+                '<select id="explorationType">' +
+                '<option value="epsilonGreedy">epsilon greedy</option>' +
+                '<option value="boltzmann">softmax (Boltzmann)</option>' +
+                '<option value="ucb">upper confidence bound</option>' +
+                '</select></td></tr>',
+                '<tr><td align="right">start value:</td> <td><input type="text" id="explorationStart"></td></tr>',
+                '<tr><td align="right">decay:</td> <td><select id="explorationDecay">' +
+                '<option value="constant">none</option>' +
+                '<option value="linear">linear</option>' +
+                '<option value="exponential">exponential</option>' +
+                '</select></td></tr>',
+                '<tr><td align="right">end value:</td> <td><input type="text" id="explorationEnd" value=0.0></td></tr>',
+                '<tr><td align="right">decay games:</td> <td><input type="text" id="explorationEpisodes" value=1000></td></tr>',
+            );
+        } else if (parameter.type == 'choice') {
+            const options = Object.entries(parameter.options).map(
+                ([value, label]) => `<option value="${value}">${label}</option>`
+            );
+            rows.push(`<tr><td align="right">${parameter.label}:</td> ` +
+                      `<td><select id="${parameterId(parameter.name)}">${options.join('')}</select></td></tr>`);
+        } else {
+            rows.push(`<tr><td align="right">${parameter.label}:</td> ` +
+                      `<td><input type="text" id="${parameterId(parameter.name)}"></td></tr>`);
+        }
+    }
+    return rows.join('\n');
+}
+
+
+/**
+ * Build an exploration strategy from the exploration fields.
+ * 
+ * @return {Object|null} The exploration strategy, or null when a field is invalid.
+ */
+function readExploration() {
+    const number = (id) => {
+        const value = document.getElementById(id).value;
+        return value !== '' && !isNaN(value) ? Number(value) : NaN;
+    };
+    const type = document.getElementById('explorationType').value;
+    const decay = document.getElementById('explorationDecay').value;
+    const parameter = explorationParameters[type];
+    const start = number('explorationStart');
+    if (!parameter || !parameter.isValid(start)) {
+        return null;
+    }
+
+    let schedule = start;
+    if (decay != 'constant') {
+        const end = number('explorationEnd');
+        const episodes = number('explorationEpisodes');
+        if (!parameter.isValid(end) || !(episodes > 0)) {
+            return null;
+        }
+        schedule = {type: decay, start, end, episodes};
+    }
+    return explorationFromJSON({type, [parameter.name]: schedule});
+}
+
+
+/**
+ * Write an exploration strategy into the exploration fields.
+ * 
+ * @param {Object} spec Description of the strategy (see explorationFromJSON()).
+ */
+function showExploration(spec) {
+    const schedule = spec[explorationParameters[spec.type].name];
+    document.getElementById('explorationType').value = spec.type;
+    document.getElementById('explorationDecay').value = schedule.type;
+    document.getElementById('explorationStart').value = schedule.start;
+    if (schedule.type != 'constant') {
+        document.getElementById('explorationEnd').value = schedule.end;
+        document.getElementById('explorationEpisodes').value = schedule.episodes;
+    }
+}
+
+
+/**
+ * Encapsulate the control flow of a series of episodes of tic-tac-toe.
+ */
+class GameHandler {
+    /**
+     * Instantiate a GameHandler.
+     * 
+     * @param {TicTacToe} game A TicTacToe instance.
+     * @param {string} playerChoice The player's (user's) game token from 'X' and 'O'.
+     * @param {Agent} agent An Agent instance (see MonteCarloAgent for an example). 
+     * @param {function} rewardFunc Reward function that takes in game and player and
+     *     returns a numeric reward.
+     */
+    constructor(game, playerChoice, agent, rewardFunc) {
+        this.game = game;
+        this.playerChoice = playerChoice;
+        this.agent = agent;
+        this.rewardFunc = rewardFunc;
+        // Generator of the page's random choices, shared with the agents (see setSeed()).
+        this.random = new Random();
+        this.agent.setRandom(this.random);
+        // State of the generator when the current game started, recorded with the game as
+        // the seed that repeats its random choices (see resetGame()).
+        this.gameSeed = this.random.seed;
+        // Name and parameters of the reward function (see createReward()), from which the
+        // training worker rebuilds it.
+        this.rewardSpec = {name: 'terminal', values: [1.0, 0.0, -1.0]};
+        // Last valid values of the reward parameter fields, keyed by field id.
+        this.rewardValues = {};
+        // When set, this agent makes the computer's moves instead of the learning agent.
+        this.perfectAgent = null;
+        // What the overlay on the grid shows: 'off', 'values' (Q) or 'counts' (countQ).
+        this.heatmap = 'off';
+        // Records of the games finished in this session (see record.js).
+        this.records = [];
+        // Game being replayed and the index of the position shown (see selectReplay()).
+        this.replayGame = null;
+        this.replayPly = 0;
+        // The human's results against the computer (see restoreScoreboard()).
+        this.scoreboard = new Scoreboard();
+        // Who plays: 'computer' (a human against the computer), 'humans' (two humans share
+        // the board while the agent learns from their games) or 'spectate' (the agent plays
+        // an opponent on screen).
+        this.mode = 'computer';
+        // Agents playing each side of the game being spectated, the number of spectated
+        // games started (to alternate sides) and the timer of the next move.
+        this.spectatorAgents = null;
+        // Opponent built for spectated games, kept between games so that it learns too:
+        // {name, agent} (see getSpectatorOpponent()).
+        this.spectatorOpponent = null;
+        this.spectatorGames = 0;
+        this.spectatorTimer = null;
+        this.paused = false;
+        // Training worker (see trainingWorker()) and the training run in progress, if any.
+        this.worker = null;
+        this.training = null;
+        // Moves taken back that can be redone, the next one last, and the finished game the
+        // agent has yet to learn from (see holdFinishedGame()).
+        this.redoMoves = [];
+        this.finishedGame = null;
+        // Whether the Q-table panel is shown and the timer of its next refresh.
+        this.inspecting = false;
+        this.inspectorTimer = null;
+        // Whether the debug panel is shown and events down to the chosen level are logged,
+        // and the timer of the panel's next refresh.
+        this.debug = false;
+        this.logTimer = null;
+        logger.subscribe(() => this.scheduleLogView());
+
+        // Build the parameter form for the agent and start it from the schema's defaults.
+        this.buildParamForm();
+        this.readParams();
+    }
+
+    /**
+     * Player (user) makes a move when selecting a button.
+     * 
+     * @param {string} buttonId The id of a grid button (see indexToId). 
+     */
+    playerMove(buttonId) {
+        const index = idToIndex(buttonId);
+        logger.debug('game', 'move', {player: this.game.currentPlayer, action: index, by: 'human'});
+        this.game.move(index);
+    }
+
+    /**
+     * Computer makes a move using the agent's policy (or perfect play in unbeatable mode).
+     */
+    computerMove() {
+        const agent = this.perfectAgent || this.agent;
+        const index = agent.policy(this.game);
+        logger.debug('game', 'move', {player: this.game.currentPlayer, action: index, by: 'computer'});
+        this.game.move(index);
+    }
+
+    /**
+     * When the player (user) selects a grid button, a bout of the game plays out where the
+     * computer gets a follow-up move (if the game has not terminated). The computer learns
+     * once the game is over, so that moves taken back never reach it (see takeback()).
+     * Making a move forgets the moves that could be redone.
+     * 
+     * @param {string} buttonId The id of a grid button (see indexToId). 
+     */
+    moveSequence(buttonId) {
+        this.redoMoves = [];
+        if (this.mode == 'humans') {
+            this.sharedMove(buttonId);
+            return;
+        }
+        // Player makes a move.
+        this.playerMove(buttonId);
+
+        if (!this.game.checkTermination()) {
+            // Computer makes a move.
+            this.computerMove();
+        }
+        if (this.game.checkTermination()) {
+            this.holdFinishedGame();
+            this.endGame();
+        }
+        this.showTakeback();
+        this.updateHeatmap();
+    }
+
+    /**
+     * One of two humans sharing the board makes a move. The agent watches and learns once
+     * the game is over, as it does from a game against itself (see playMove()): Q-learning
+     * agents learn from the moves of both sides, other agents from the side that moved last.
+     * 
+     * @param {string} buttonId The id of a grid button (see indexToId). 
+     */
+    sharedMove(buttonId) {
+        this.playerMove(buttonId);
+        if (this.game.checkTermination()) {
+            this.holdFinishedGame();
+            this.endGame();
+        }
+        this.showTakeback();
+        this.updateHeatmap();
+    }
+
+    /**
+     * Hold the finished game on the board, with the scoreboard from before it, until the
+     * game can no longer be taken back: the agent only learns from it once the next game
+     * starts or the agent is used elsewhere (see learnFromGame()), so taking back the end
+     * of the game never reaches the agent (see reopenGame()).
+     */
+    holdFinishedGame() {
+        this.finishedGame = {
+            game: this.game,
+            // Between two humans, the agent learns as the side that moved last.
+            player: this.mode == 'humans' ? (this.game.actionHistory.length % 2 == 1 ? 'X' : 'O') : this.agent.player,
+            scoreboard: JSON.stringify(this.scoreboard),
+        };
+    }
+
+    /**
+     * Let the agent learn from the finished game held on the board, if any, and save it.
+     * Called before a new game starts and before anything that reads or replaces what the
+     * agent has learned (training, evaluation, export, switching agents, ...).
+     */
+    learnFromGame() {
+        const finished = this.finishedGame;
+        if (!finished) {
+            return;
+        }
+        this.finishedGame = null;
+        this.agent.player = finished.player;
+        this.agent.learn(finished.game, this.rewardFunc);
+        this.saveAgent();
+        this.showTakeback();
+    }
+
+    /**
+     * Take back the last move of a game between two humans or, against the computer, the
+     * human's last move and the computer's reply. The computer's opening move cannot be
+     * taken back. Moves taken back can be replayed with redo() until another move is made.
+     */
+    takeback() {
+        const moves = this.game.actionHistory.length;
+        let plies = 1;
+        if (this.mode == 'spectate') {
+            return;
+        } else if (this.mode == 'computer') {
+            const humanMoves = this.playerChoice == 'X' ? Math.ceil(moves / 2) : Math.floor(moves / 2);
+            if (humanMoves === 0) {
+                return;
+            }
+            // Go back to the human's previous turn.
+            plies = this.game.currentPlayer == this.playerChoice ? 2 : 1;
+        } else if (moves === 0) {
+            return;
+        }
+        if (this.game.checkTermination()) {
+            if (!this.finishedGame) {
+                // The agent has already learned from the game.
+                return;
+            }
+            this.reopenGame();
+        }
+        const undone = this.game.undo(plies);
+        logger.debug('game', 'takeback', {moves: undone});
+        this.redoMoves.push(...undone);
+        this.showTakeback();
+        this.updateHeatmap();
+    }
+
+    /**
+     * Replay the moves last taken back: one move between two humans or, against the
+     * computer, the human's move and the computer's reply as they were played.
+     */
+    redo() {
+        if (this.redoMoves.length === 0 || this.game.checkTermination()) {
+            return;
+        }
+        let redone = [this.redoMoves.pop()];
+        this.game.move(redone[0]);
+        if (this.mode == 'computer' && !this.game.checkTermination()) {
+            if (this.redoMoves.length > 0) {
+                redone.push(this.redoMoves.pop());
+                this.game.move(redone[1]);
+            } else {
+                this.computerMove();
+            }
+        }
+        logger.debug('game', 'redo', {moves: redone});
+        if (this.game.checkTermination()) {
+            this.holdFinishedGame();
+            this.endGame();
+        }
+        this.showTakeback();
+        this.updateHeatmap();
+    }
+
+    /**
+     * Undo the wrap-up of the finished game on the board so that play can continue: the
+     * agent never learns from it (see holdFinishedGame()), the scoreboard is restored from
+     * before the game, the game's record is dropped and the result cleared.
+     */
+    reopenGame() {
+        const finished = this.finishedGame;
+        if (finished) {
+            this.scoreboard = Scoreboard.fromJSON(JSON.parse(finished.scoreboard));
+            this.saveScoreboard();
+            this.showScoreboard();
+            this.dropLastRecord();
+            this.finishedGame = null;
+        }
+        document.getElementById('winState').innerHTML = '&nbsp;';
+        this.disableReset();
+    }
+
+    /**
+     * Enable the takeback and redo buttons when there is a move to take back or redo.
+     */
+    showTakeback() {
+        const moves = this.game.actionHistory.length;
+        let canTakeBack = moves > 0;
+        if (this.mode == 'spectate' || (this.game.checkTermination() && !this.finishedGame)) {
+            canTakeBack = false;
+        } else if (this.mode == 'computer') {
+            canTakeBack = (this.playerChoice == 'X' ? Math.ceil(moves / 2) : Math.floor(moves / 2)) > 0;
+        }
+        document.getElementById('takeback').disabled = !canTakeBack;
+        document.getElementById('redo').disabled = this.redoMoves.length === 0;
+    }
+
+    /**
+     * Choose who plays and start a new game.
+     * 
+     * @param {string} mode 'computer' for a human against the computer, 'humans' for two
+     *     humans sharing the board or 'spectate' to watch the agent play.
+     */
+    setMode(mode) {
+        this.mode = mode;
+        const spectate = mode == 'spectate';
+        document.getElementById('spectateControls').hidden = !spectate;
+        // The scoreboard and unbeatable mode only concern games against the computer.
+        document.getElementById('scoreDiv').hidden = mode != 'computer';
+        const unbeatableBox = document.getElementById('unbeatable');
+        if (mode != 'computer' && unbeatableBox.checked) {
+            unbeatableBox.checked = false;
+            this.setUnbeatable(false);
+        }
+        unbeatableBox.disabled = mode != 'computer' || !isClassic(this.game);
+        if (!spectate) {
+            clearTimeout(this.spectatorTimer);
+            this.spectatorTimer = null;
+        }
+        this.setPaused(false);
+        this.resetGame();
+    }
+
+    /**
+     * Start a game between the agent and the opponent chosen in the spectator selector on
+     * the reset board. The agent swaps sides every game.
+     */
+    startSpectatorGame() {
+        const opponent = this.getSpectatorOpponent(document.getElementById('spectateOpponent').value);
+        if (this.spectatorGames % 2 == 0) {
+            this.spectatorAgents = {X: this.agent, O: opponent};
+        } else {
+            this.spectatorAgents = {X: opponent, O: this.agent};
+        }
+        this.spectatorGames += 1;
+        // Spectators watch; the board does not take clicks.
+        for (let button of this.game.buttons || []) {
+            button.disabled = true;
+        }
+        this.scheduleSpectatorMove();
+    }
+
+    /**
+     * Get the opponent of the agent in spectated games: the agent itself, a perfect player
+     * or another agent restored from its autosave (or with the defaults of its parameters
+     * when it has none). The opponent is kept while the selection stays the same, and what
+     * it learns is not saved.
+     * 
+     * @param {string} name 'self', 'MinimaxAgent' or a class name in agentRegistry.
+     * @return {Agent} The opponent.
+     */
+    getSpectatorOpponent(name) {
+        if (name == 'self') {
+            return this.agent;
+        } else if (this.spectatorOpponent && this.spectatorOpponent.name == name) {
+            return this.spectatorOpponent.agent;
+        }
+        let opponent;
+        if (name == 'MinimaxAgent') {
+            opponent = new MinimaxAgent('O');
+        } else {
+            opponent = new (agentRegistry.get(name).AgentType)('O');
+            loadAutosave(opponent);
+        }
+        opponent.setRandom(this.random);
+        if (typeof opponent.setGuide === 'function' && this.agent.constructor.tableFormat()) {
+            opponent.setGuide(this.agent);
+        }
+        this.spectatorOpponent = {name, agent: opponent};
+        return opponent;
+    }
+
+    /**
+     * Make the next move of the spectated game, or start the next game if it is over. The
+     * agent learns from the game as it does in training (see playMove()).
+     */
+    stepSpectator() {
+        if (this.game.checkTermination()) {
+            this.resetGame();
+            return;
+        }
+        const {X, O} = this.spectatorAgents;
+        const outcome = playMove(this.game, X, O, this.rewardFunc);
+        if (outcome) {
+            // Spectated agents learn as they play, so the agent is saved right away.
+            this.saveAgent();
+            this.endGame();
+        }
+        this.updateHeatmap();
+    }
+
+    /**
+     * Schedule the next spectated move after the delay in the speed field, replacing any
+     * move already scheduled. Nothing is scheduled while paused or outside spectator mode.
+     */
+    scheduleSpectatorMove() {
+        clearTimeout(this.spectatorTimer);
+        this.spectatorTimer = null;
+        if (this.mode != 'spectate' || this.paused) {
+            return;
+        }
+        const delayField = document.getElementById('spectateDelay');
+        let delay = delayField.value;
+        if (delay !== '' && !isNaN(delay) && Number(delay) >= 0) {
+            delay = Number(delay);
+        } else {
+            delay = 500;
+            delayField.value = delay;
+        }
+        this.spectatorTimer = setTimeout(() => {
+            this.spectatorTimer = null;
+            this.stepSpectator();
+            this.scheduleSpectatorMove();
+        }, delay);
+    }
+
+    /**
+     * Pause or resume the spectated games.
+     * 
+     * @param {boolean} paused Whether to pause.
+     */
+    setPaused(paused) {
+        this.paused = paused;
+        document.getElementById('spectatePause').innerText = paused ? 'resume' : 'pause';
+        this.scheduleSpectatorMove();
+    }
+
+    /**
+     * Pause the spectated games if they are running, or resume them if they are paused.
+     */
+    togglePause() {
+        this.setPaused(!this.paused);
+    }
+
+    /**
+     * Pause the spectated games and make a single move.
+     */
+    stepPaused() {
+        if (this.mode != 'spectate') {
+            return;
+        }
+        this.setPaused(true);
+        this.stepSpectator();
+    }
+
+    /**
+     * Name who played each side of the current game, e.g. {X: 'human', O: 'QLearningAgent'}.
+     * 
+     * @return {Object} Names of the players of 'X' and 'O'.
+     */
+    playerNames() {
+        if (this.mode == 'humans') {
+            return {X: 'human', O: 'human'};
+        } else if (this.mode == 'spectate') {
+            const {X, O} = this.spectatorAgents;
+            return {X: X.constructor.name, O: O.constructor.name};
+        }
+        const computer = (this.perfectAgent || this.agent).constructor.name;
+        return this.playerChoice == 'X' ? {X: 'human', O: computer} : {X: computer, O: 'human'};
+    }
+
+    /**
+     * Wrap up a finished game: record the game, announce the result and enable the reset
+     * button. The agent learns from the game, and is saved, later (see learnFromGame()).
+     */
+    endGame() {
+        logger.info('game', 'gameOver', {
+            mode: this.mode,
+            players: this.playerNames(),
+            moves: this.game.actionHistory.slice(),
+            outcome: this.game.checkTermination(),
+        });
+        this.recordGame();
+        this.announceResult();
+        this.enableReset();
+    }
+
+    /**
+     * Show the result of the finished game and, in a game against the computer, add it to
+     * the scoreboard.
+     */
+    announceResult() {
+        const outcome = this.game.checkTermination();
+        if (this.mode != 'computer') {
+            const names = this.playerNames();
+            let message = 'It\'s a draw.';
+            if (outcome != 'draw') {
+                message = this.mode == 'humans' ? `${outcome} won!` : `${outcome} (${names[outcome]}) won.`;
+            }
+            document.getElementById('winState').innerText = message;
+            return;
+        }
+        const result = this.scoreboard.add(this.playerChoice, outcome);
+        const messages = {
+            win: 'You won!',
+            draw: 'It\'s a draw.',
+            loss: 'The computer won.',
+        };
+        document.getElementById('winState').innerText = `${messages[result]} (you played ${this.playerChoice})`;
+        this.saveScoreboard();
+        this.showScoreboard();
+    }
+
+    /**
+     * Write the scoreboard into the page.
+     */
+    showScoreboard() {
+        const percent = (rate) => `${Math.round(100 * rate)}%`;
+        let lines = [];
+        for (let side of ['X', 'O']) {
+            const {wins, draws, losses} = this.scoreboard.totals[side];
+            lines.push(`as ${side}: ${wins} won, ${draws} drawn, ${losses} lost`);
+        }
+
+        const streak = this.scoreboard.streak;
+        if (streak.length > 0) {
+            const plural = streak.length > 1 ? (streak.result == 'loss' ? 'es' : 's') : '';
+            lines.push(`streak: ${streak.length} ${streak.result}${plural} in a row ` +
+                       `(longest winning streak ${this.scoreboard.longestWinStreak}, ` +
+                       `computer unbeaten for up to ${this.scoreboard.longestUnbeatenStreak})`);
+        }
+
+        const {current, previous} = this.scoreboard.windows();
+        if (current.games > 0) {
+            let line = `last ${current.games} games: you won ${percent(current.winRate)}, ` +
+                       `lost ${percent(current.lossRate)}`;
+            if (previous.games > 0) {
+                line += ` (${previous.games} before: won ${percent(previous.winRate)}, ` +
+                        `lost ${percent(previous.lossRate)})`;
+                if (current.winRate < previous.winRate) {
+                    line += ' - the computer is getting harder to beat';
+                } else if (current.winRate > previous.winRate) {
+                    line += ' - you are getting the better of the computer';
+                }
+            }
+            lines.push(line);
+        }
+        document.getElementById('scoreboard').innerText = lines.join('\n');
+    }
+
+    /**
+     * Store the scoreboard in the browser's localStorage.
+     */
+    saveScoreboard() {
+        try {
+            window.localStorage.setItem(scoreboardStorageKey, JSON.stringify(this.scoreboard));
+        } catch (error) {
+            logger.warn('ui', 'storeFailed', {item: 'scoreboard', error: String(error)});
+        }
+    }
+
+    /**
+     * Restore the scoreboard stored in the browser's localStorage, if there is one, and
+     * show it.
+     */
+    restoreScoreboard() {
+        try {
+            const data = window.localStorage.getItem(scoreboardStorageKey);
+            if (data) {
+                this.scoreboard = Scoreboard.fromJSON(JSON.parse(data));
+            }
+        } catch (error) {
+            // An unreadable scoreboard is ignored and the score starts from zero.
+            logger.warn('ui', 'restoreFailed', {item: 'scoreboard', error: String(error)});
+        }
+        this.showScoreboard();
+    }
+
+    /**
+     * Clear the scoreboard.
+     */
+    resetScoreboard() {
+        if (confirm('Clear the scoreboard?')) {
+            this.scoreboard.clear();
+            this.saveScoreboard();
+            this.showScoreboard();
+        }
+    }
+
+    /**
+     * Add the current game to the session's records and to the replay selector.
+     */
+    recordGame() {
+        this.addRecords([createRecord(this.game, this.playerNames(), this.agent, this.gameSeed)]);
+    }
+
+    /**
+     * Append records of games to the session's records and list them in the replay
+     * selector.
+     * 
+     * @param {Array(Object)} records Records of games (see record.js).
+     */
+    addRecords(records) {
+        const select = document.getElementById('replayGame');
+        for (let record of records) {
+            this.records.push(record);
+            let option = document.createElement('option');
+            option.value = this.records.length - 1;
+            option.innerText = `${this.records.length}: ${record.players.X} (X) vs ${record.players.O} (O), ` +
+                               `${record.outcome == 'draw' ? 'draw' : (record.outcome || 'unfinished')}` +
+                               `${record.outcome == 'X' || record.outcome == 'O' ? ' won' : ''}`;
+            select.appendChild(option);
+        }
+        if (records.length > 0) {
+            select.value = this.records.length - 1;
+            this.selectReplay(this.records.length - 1);
+        }
+    }
+
+    /**
+     * Remove the last of the session's records from the records and the replay selector.
+     */
+    dropLastRecord() {
+        this.records.pop();
+        const select = document.getElementById('replayGame');
+        select.remove(this.records.length);
+        if (this.records.length > 0) {
+            select.value = this.records.length - 1;
+            this.selectReplay(this.records.length - 1);
+        } else {
+            this.replayGame = null;
+            document.getElementById('replayGrid').innerHTML = '';
+            document.getElementById('replayText').innerText = '';
+            document.getElementById('replayPly').innerHTML = '&nbsp;';
+        }
+    }
+
+    /**
+     * Show a recorded game in the replay viewer from its first position.
+     * 
+     * @param {number|string} index Index of the record in the session's records.
+     */
+    selectReplay(index) {
+        const record = this.records[Number(index)];
+        if (!record) {
+            return;
+        }
+        this.replayGame = replay(record);
+        this.replayButtons = createGrid(
+            document.getElementById('replayGrid'),
+            this.replayGame.width,
+            this.replayGame.height,
+            (cell) => `replayCell${cell}`,
+        );
+        for (let button of this.replayButtons) {
+            button.disabled = true;
+        }
+        document.getElementById('replayText').innerText = recordToText(record);
+        this.stepReplay(-Infinity);
+    }
+
+    /**
+     * Move the replay viewer forwards or backwards through the recorded game and show the
+     * agent's Q-values for the moves available in the position.
+     * 
+     * @param {number} plies Number of moves to step (negative to step backwards). The
+     *     position is clamped to the start and end of the game.
+     */
+    stepReplay(plies) {
+        if (!this.replayGame) {
+            return;
+        }
+        const last = this.replayGame.stateHistory.length - 1;
+        this.replayPly = Math.min(Math.max(this.replayPly + plies, 0), last);
+        paintHeatmap(this.replayButtons, this.replayGame, this.replayPly, this.agent, 'values');
+        let status = `move ${this.replayPly} of ${last}`;
+        if (this.replayPly < last) {
+            // Mark the move that was played next.
+            const action = this.replayGame.actionHistory[this.replayPly];
+            this.replayButtons[action].style.outline = '2px solid black';
+            status += `, ${this.replayPly % 2 == 0 ? 'X' : 'O'} to play`;
+        }
+        document.getElementById('replayPly').innerText = status;
+        // Painting the replay points the agent at the recorded board; point it back.
+        this.updateHeatmap();
+    }
+
+    /**
+     * Download the session's records of games as a JSON file.
+     */
+    exportGames() {
+        const blob = new Blob([recordsToJSON(this.records)], {type: 'application/json'});
+        const url = URL.createObjectURL(blob);
+        let link = document.createElement('a');
+        link.href = url;
+        link.download = 'xo-games.json';
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Add records of games read from a JSON file produced by exportGames() or a text file
+     * of games in text notation (see record.js) to the session's records.
+     * 
+     * @param {element} fileInput A file input element holding the selected file.
+     */
+    importGames(fileInput) {
+        const file = fileInput.files[0];
+        if (!file) {
+            return;
+        }
+        file.text().then((text) => {
+            this.addRecords(recordsFromText(text));
+        }).catch((error) => {
+            alert(`Unable to import games: ${error.message}`);
+        }).finally(() => {
+            // Allow the same file to be selected again.
+            fileInput.value = '';
+        });
+    }
+
+    /**
+     * Store an iterable of grid button elements.
+     * 
+     * @param {iterable(elements)} buttons An iterable over button elements for game board.
+     */
+    setGrid(buttons) {
+        this.game.buttons = buttons;
+    }
+
+    /**
+     * Generate grid buttons in the grid window to match the size of the board and store
+     * them.
+     */
+    buildGrid() {
+        const gridWindow = document.getElementById('gridWindow');
+        let buttons = createGrid(gridWindow, this.game.width, this.game.height, indexToId);
+        for (let button of buttons) {
+            button.onclick = () => this.moveSequence(button.id);
+        }
+        this.setGrid(buttons);
+    }
+
+    /**
+     * Start a new game on a board with the dimensions and win length in the board fields.
+     * Invalid values are replaced by those of the current board.
+     */
+    setBoard() {
+        const widthField = document.getElementById('boardWidth');
+        const heightField = document.getElementById('boardHeight');
+        const winLengthField = document.getElementById('winLength');
+        const width = Number(widthField.value);
+        const height = Number(heightField.value);
+        const winLength = Number(winLengthField.value);
+        const valid = (
+            Number.isInteger(width) && width >= 1 && width <= 10 &&
+            Number.isInteger(height) && height >= 1 && height <= 10 &&
+            Number.isInteger(winLength) && winLength >= 1 && winLength <= Math.max(width, height)
+        );
+        if (!valid) {
+            widthField.value = this.game.width;
+            heightField.value = this.game.height;
+            winLengthField.value = this.game.winLength;
+            return;
+        }
+
+        this.game = new TicTacToe(this.game.nll, null, width, height, winLength);
+        this.buildGrid();
+
+        const classic = isClassic(this.game);
+        const unbeatableBox = document.getElementById('unbeatable');
+        if (!classic && unbeatableBox.checked) {
+            unbeatableBox.checked = false;
+            this.setUnbeatable(false);
+        }
+        unbeatableBox.disabled = !classic || this.mode != 'computer';
+        document.getElementById('evaluateAgent').disabled = !classic;
+        // Like unbeatable mode, a perfect opponent searches every game.
+        let opponentSelect = document.getElementById('spectateOpponent');
+        if (!classic && opponentSelect.value == 'MinimaxAgent') {
+            opponentSelect.value = 'self';
+        }
+        document.getElementById('spectateMinimax').disabled = !classic;
+
+        this.resetGame();
+    }
+
+    /**
+     * Store the reset button element.
+     * 
+     * @param {element} button The reset button element.
+     */
+    setReset(button) {
+        this.resetButton = button;
+        this.disableReset();
+    }
+
+    /**
+     * Enable the reset button (clickable).
+     */
+    enableReset() {
+        this.resetButton.disabled = false;
+    }
+
+    /**
+     * Disable the reset button (unclickable).
+     */
+    disableReset() {
+        this.resetButton.disabled = true;
+    }
+
+    /**
+     * Reset the game (start a fresh game). Against the computer, the human plays either
+     * side at random; when spectating, the next game starts playing itself.
+     */
+    resetGame() {
+        // Learn from the last game, disable the reset button, clear the result and reset
+        // the game.
+        this.learnFromGame();
+        this.disableReset();
+        document.getElementById('winState').innerHTML = '&nbsp;';
+        this.game.reset();
+        this.gameSeed = this.random.state;
+        this.redoMoves = [];
+
+        if (this.mode == 'humans') {
+            // Two humans share the board and 'X' moves first.
+        } else if (this.mode == 'spectate') {
+            this.startSpectatorGame();
+        } else if (this.random.next() < 0.5) {
+            // Player (user) is 'O' in the next game.
+            this.playerChoice = 'O';
+            this.agent.player = 'X';
+            if (this.perfectAgent) {
+                this.perfectAgent.player = 'X';
+            }
+            this.computerMove();
+        } else {
+            // Player (user) is 'X' in the next game.
+            this.playerChoice = 'X';
+            this.agent.player = 'O';
+            if (this.perfectAgent) {
+                this.perfectAgent.player = 'O';
+            }
+        }
+        this.showTakeback();
+        this.updateHeatmap();
+    }
+
+    /**
+     * Choose what the overlay on the grid shows.
+     * 
+     * @param {string} mode 'off', 'values' for the agent's Q-function or 'counts' for the
+     *     number of times the agent has updated each state/action pair (countQ).
+     */
+    setHeatmap(mode) {
+        this.heatmap = mode;
+        this.updateHeatmap();
+    }
+
+    /**
+     * Colour every valid grid button by what the agent has learned about making that move
+     * in the current state (see paintHeatmap()), and refresh the Q-table panel, since both
+     * follow what the agent has learned.
+     */
+    updateHeatmap() {
+        if (this.game.buttons) {
+            paintHeatmap(this.game.buttons, this.game, null, this.agent, this.heatmap);
+        }
+        this.scheduleInspector();
+    }
+
+    /**
+     * Update the hyperparameters of the agent by pulling values from fields.
+     */
+    updateParams() {
+        // The last game is learned with the hyperparameters it was played with. Schedules
+        // continue from the number of games the agent has already learned from.
+        this.learnFromGame();
+        this.readParams();
+        this.updateReward();
+        this.saveAgent();
+    }
+
+    /**
+     * Replace the rows of the parameter form with those of the agent's hyperparameters and
+     * fill them in with their defaults (see Agent.parameterSchema()).
+     */
+    buildParamForm() {
+        const AgentType = this.agent.constructor;
+        document.getElementById('agentParameters').innerHTML = parameterRows(AgentType);
+        for (let parameter of AgentType.parameterSchema()) {
+            if (parameter.type == 'exploration') {
+                showExploration(parameter.default);
+            } else {
+                document.getElementById(parameterId(parameter.name)).value = parameter.default;
+            }
+        }
+    }
+
+    /**
+     * Set the hyperparameters of the agent from the parameter form. Fields holding values
+     * outside the range of their hyperparameter are restored to the agent's value.
+     */
+    readParams() {
+        let hyperparameters = {};
+        for (let parameter of this.agent.constructor.parameterSchema()) {
+            if (parameter.type == 'exploration') {
+                const exploration = readExploration();
+                if (exploration) {
+                    hyperparameters[parameter.name] = exploration;
+                }
+                continue;
+            }
+            const value = document.getElementById(parameterId(parameter.name)).value;
+            if (parameter.type == 'choice') {
+                if (parameter.options.hasOwnProperty(value)) {
+                    hyperparameters[parameter.name] = value;
+                }
+            } else if (value !== '' && !isNaN(value) && Number(value) >= parameter.min &&
+                    Number(value) <= parameter.max) {
+                hyperparameters[parameter.name] = Number(value);
+            }
+        }
+        this.agent.setHyperparameters(hyperparameters);
+        // Show the values actually in use, including those of rejected fields.
+        this.showParams();
+    }
+
+    /**
+     * Set the reward function from the reward selector and its parameter fields. Invalid
+     * fields are restored to their last valid (or default) values. The choice is stored
+     * in the browser's localStorage.
+     */
+    updateReward() {
+        let name = document.getElementById('rewardType').value;
+        if (!rewardTypes.has(name)) {
+            name = 'terminal';
+            document.getElementById('rewardType').value = name;
+        }
+        const rewardType = rewardTypes.get(name);
+        let values = [];
+        for (let id of rewardType.fields) {
+            let field = document.getElementById(id);
+            if (field.value === '' || isNaN(field.value)) {
+                field.value = this.rewardValues.hasOwnProperty(id) ? this.rewardValues[id] : field.defaultValue;
+            }
+            this.rewardValues[id] = Number(field.value);
+            values.push(this.rewardValues[id]);
+        }
+        this.rewardFunc = createReward(name, values);
+        this.rewardSpec = {name, values};
+        this.showRewardFields();
+        try {
+            window.localStorage.setItem(rewardStorageKey, JSON.stringify({name, values: this.rewardValues}));
+        } catch (error) {
+            logger.warn('ui', 'storeFailed', {item: 'reward', error: String(error)});
+        }
+    }
+
+    /**
+     * Restore the reward function stored in the browser's localStorage, if there is one.
+     */
+    restoreReward() {
+        try {
+            const data = JSON.parse(window.localStorage.getItem(rewardStorageKey));
+            if (data && rewardTypes.has(data.name)) {
+                document.getElementById('rewardType').value = data.name;
+                for (let [id, value] of Object.entries(data.values)) {
+                    document.getElementById(id).value = value;
+                }
+            }
+        } catch (error) {
+            // An unreadable choice is ignored and the fields keep their defaults.
+            logger.warn('ui', 'restoreFailed', {item: 'reward', error: String(error)});
+        }
+        this.updateReward();
+    }
+
+    /**
+     * Show only the parameter fields of the reward function chosen in the reward selector.
+     */
+    showRewardFields() {
+        const rewardType = rewardTypes.get(document.getElementById('rewardType').value);
+        for (let row of document.querySelectorAll('.rewardParameter')) {
+            row.hidden = !rewardType || !rewardType.fields.includes(row.dataset.field);
+        }
+    }
+
+    /**
+     * Switch unbeatable mode on or off. In unbeatable mode the computer plays perfectly
+     * while the learning agent keeps learning from the games.
+     * 
+     * @param {boolean} enabled Whether the computer should play perfectly.
+     */
+    setUnbeatable(enabled) {
+        if (enabled) {
+            this.perfectAgent = new MinimaxAgent(this.agent.player);
+            this.perfectAgent.setRandom(this.random);
+        } else {
+            this.perfectAgent = null;
+        }
+    }
+
+    /**
+     * Restart the page's random number generator from a seed, so that the same moves
+     * against an agent in the same state are answered, and learned from, in the same way.
+     * The agent, the perfect and spectated opponents and the guide of a search agent all
+     * draw from the new generator. The seed is recorded with every game and saved agent.
+     * 
+     * @param {string|number} seed Integer in [0, 2^32); an empty value picks one at random.
+     * @return {boolean} Whether the seed was valid.
+     */
+    setSeed(seed) {
+        this.learnFromGame();
+        let field = document.getElementById('randomSeed');
+        try {
+            this.random = seed === '' ? new Random() : new Random(Number(seed));
+        } catch (error) {
+            if (!(error instanceof InvalidSeedError)) {
+                throw error;
+            }
+            alert(error.message);
+            field.value = this.random.seed;
+            return false;
+        }
+        const opponent = this.spectatorOpponent ? this.spectatorOpponent.agent : null;
+        for (let agent of [this.agent, this.perfectAgent, opponent]) {
+            if (agent) {
+                agent.setRandom(this.random);
+            }
+        }
+        field.value = this.random.seed;
+        this.gameSeed = this.random.seed;
+        logger.info('ui', 'seed', {seed: this.random.seed});
+        return true;
+    }
+
+    /**
+     * Write the hyperparameters of the agent into the parameter fields.
+     */
+    showParams() {
+        const hyperparameters = this.agent.getHyperparameters();
+        for (let parameter of this.agent.constructor.parameterSchema()) {
+            if (parameter.type == 'exploration') {
+                showExploration(hyperparameters[parameter.name]);
+            } else {
+                document.getElementById(parameterId(parameter.name)).value = hyperparameters[parameter.name];
+            }
+        }
     }
-    return keyValue;
-}());
 
+    /**
+     * Autosave the agent to the browser's localStorage.
+     */
+    saveAgent() {
+        try {
+            window.localStorage.setItem(
+                `${agentStorageKey}.${this.agent.constructor.name}`,
+                JSON.stringify(this.agent.save()),
+            );
+        } catch (error) {
+            // Storage may be full or disabled; the agent simply will not persist.
+            logger.warn('ui', 'storeFailed', {
+                item: 'agent', type: this.agent.constructor.name, error: String(error),
+            });
+        }
+    }
 
-/**
- * Encapsulate the control flow of a series of episodes of tic-tac-toe.
- */
-class GameHandler {
     /**
-     * Instantiate a GameHandler.
+     * Restore the agent autosaved in the browser's localStorage, if there is one. An agent
+     * of the same type autosaved under the single key used before each type had its own is
+     * moved to the agent's key.
      * 
-     * @param {TicTacToe} game A TicTacToe instance.
-     * @param {string} playerChoice The player's (user's) game token from 'X' and 'O'.
-     * @param {Agent} agent An Agent instance (see MonteCarloAgent for an example). 
-     * @param {function} rewardFunc Reward function that takes in game and player and
-     *     returns a numeric reward.
+     * @return {boolean} Whether a saved agent was restored.
      */
-    constructor(game, playerChoice, agent, rewardFunc) {
-        this.game = game;
-        this.playerChoice = playerChoice;
-        this.agent = agent;
-        this.rewardFunc = rewardFunc;
-
-        if (this.agent instanceof MonteCarloAgent || this.agent instanceof QLearningAgent) {
-            // For MonteCarloAgent or QLearningAgent, pull and store epsilon and discount 
-            // hyperparameters.
-            let epsilonField = document.getElementById('epsilonGreedy');
-            let epsilon = epsilonField.value;
-            if (!isNaN(epsilon) && Number(epsilon) >= 0.0 && Number(epsilon) <= 1.0) {
-                this.agent.epsilon = Number(epsilon);
-            } else {
-                epsilon = 0.0;
-                epsilonField.value = epsilon;
+    restoreAgent() {
+        try {
+            let data = window.localStorage.getItem(
+                `${agentStorageKey}.${this.agent.constructor.name}`
+            );
+            let legacy = false;
+            if (!data) {
+                data = window.localStorage.getItem(agentStorageKey);
+                legacy = Boolean(data) && JSON.parse(data).type == this.agent.constructor.name;
+                if (!legacy) {
+                    data = null;
+                }
+            }
+            if (data) {
+                this.agent.load(data);
+                this.showParams();
+                if (legacy) {
+                    this.saveAgent();
+                    window.localStorage.removeItem(agentStorageKey);
+                }
+                return true;
             }
+        } catch (error) {
+            // An unreadable or incompatible save is ignored and the agent starts fresh.
+            logger.warn('ui', 'restoreFailed', {
+                item: 'agent', type: this.agent.constructor.name, error: String(error),
+            });
+        }
+        return false;
+    }
 
-            let discountField = document.getElementById('discountFactor');
-            let discount = discountField.value;
-            if (!isNaN(discount) && Number(discount) >= 0.0 && Number(discount) <= 1.0) {
-                this.agent.discount = Number(discount);
-            } else {
-                discount = 1.0;
-                discountField.value = discount;
+    /**
+     * Guide an agent that searches with a guide (e.g. MCTSAgent) by the learning agent that
+     * last guided one, restored from its autosave, so that the guide survives reloading the
+     * page. Without such an agent, the search stays unguided.
+     */
+    restoreGuide() {
+        if (typeof this.agent.setGuide !== 'function') {
+            return;
+        }
+        let name = null;
+        try {
+            name = window.localStorage.getItem(guideStorageKey);
+        } catch (error) {
+            logger.warn('ui', 'restoreFailed', {item: 'guide', error: String(error)});
+        }
+        if (!agentRegistry.has(name) || !agentRegistry.get(name).AgentType.tableFormat()) {
+            return;
+        }
+        let guide = new (agentRegistry.get(name).AgentType)(this.agent.player);
+        guide.setRandom(this.random);
+        if (loadAutosave(guide)) {
+            this.agent.setGuide(guide);
+        }
+    }
+
+    /**
+     * Check whether an agent of a type has been autosaved in the browser's localStorage,
+     * under its own key or the single key used before (see restoreAgent()).
+     * 
+     * @param {string} name Class name of the agent.
+     * @return {boolean} Whether there is a save to restore.
+     */
+    hasAutosave(name) {
+        try {
+            if (window.localStorage.getItem(`${agentStorageKey}.${name}`)) {
+                return true;
             }
+            const legacy = window.localStorage.getItem(agentStorageKey);
+            return Boolean(legacy) && JSON.parse(legacy).type == name;
+        } catch (error) {
+            return false;
+        }
+    }
 
-            if (this.agent instanceof QLearningAgent) {
-                // For QLearningAgent, pull and store the learning rate (alpha).
-                let alphaField = document.getElementById('alphaLearn');
-                let alpha = alphaField.value;
-                if (!isNaN(alpha) && Number(alpha) >= 0.0 && Number(alpha) <= 1.0) {
-                    this.agent.alpha = Number(alpha);
-                } else {
-                    alpha = 0.1;
-                    alphaField.value = alpha;
-                }
+    /**
+     * Switch the computer to a different type of agent and start a new game. The current
+     * agent is saved first. When both agents learn tables of the same format, the user may
+     * keep what the computer has learned so far. Otherwise, the user may restore the new
+     * agent from its own save, if there is one, or reset it to an empty table with the
+     * defaults of its parameters. Agents that search with a guide (e.g. MCTSAgent) are guided
+     * by the previous agent when it has learned a table, and otherwise by the learning agent
+     * that guided one last (see restoreGuide()).
+     * 
+     * @param {string} name Class name of the agent (see agentRegistry).
+     */
+    setAgentType(name) {
+        if (!agentRegistry.has(name) || name == this.agent.constructor.name) {
+            return;
+        }
+        this.learnFromGame();
+        this.saveAgent();
+        const previous = this.agent;
+        const {AgentType, label} = agentRegistry.get(name);
+        this.agent = new AgentType(previous.player);
+        this.agent.setRandom(this.random);
+        this.spectatorOpponent = null;
+        this.buildParamForm();
+
+        const format = AgentType.tableFormat();
+        const keep = (
+            format && format == previous.constructor.tableFormat() && previous.Q.size > 0 &&
+            confirm(`Keep what the computer has learned so far? Choose cancel to use what the ` +
+                    `${label} agent learned before or to start it from an empty table.`)
+        );
+        const restore = !keep && this.hasAutosave(name) && confirm(
+            `Use what the ${label} agent learned before? Choose cancel to start it from an empty table.`
+        );
+        if (keep) {
+            this.agent.adoptTable(previous);
+            this.readParams();
+            this.saveAgent();
+        } else if (!restore || !this.restoreAgent()) {
+            this.agent.clear();
+            this.readParams();
+            this.saveAgent();
+        }
+        if (typeof this.agent.setGuide === 'function' && previous.constructor.tableFormat()) {
+            this.agent.setGuide(previous);
+            try {
+                window.localStorage.setItem(guideStorageKey, previous.constructor.name);
+            } catch (error) {
+                logger.warn('ui', 'storeFailed', {item: 'guide', error: String(error)});
             }
+        } else {
+            this.restoreGuide();
+        }
+        try {
+            window.localStorage.setItem(agentTypeStorageKey, name);
+        } catch (error) {
+            logger.warn('ui', 'storeFailed', {item: 'agentType', error: String(error)});
         }
+        this.resetGame();
     }
 
     /**
-     * Player (user) makes a move when selecting a button.
+     * Download the agent as a JSON file.
+     */
+    exportAgent() {
+        this.learnFromGame();
+        const blob = new Blob([JSON.stringify(this.agent.save())], {type: 'application/json'});
+        const url = URL.createObjectURL(blob);
+        let link = document.createElement('a');
+        link.href = url;
+        link.download = 'xo-agent.json';
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Replace the agent with one read from a JSON file produced by exportAgent().
      * 
-     * @param {string} buttonId The id of a grid button (see idToIndex). 
+     * @param {element} fileInput A file input element holding the selected file.
      */
-    playerMove(buttonId) {
-        const index = idToIndex.get(buttonId);
-        this.game.move(index);
+    importAgent(fileInput) {
+        const file = fileInput.files[0];
+        if (!file) {
+            return;
+        }
+        file.text().then((text) => {
+            this.learnFromGame();
+            this.agent.load(text);
+            this.showParams();
+            this.saveAgent();
+            this.updateHeatmap();
+        }).catch((error) => {
+            alert(`Unable to import agent: ${error.message}`);
+        }).finally(() => {
+            // Allow the same file to be selected again.
+            fileInput.value = '';
+        });
     }
 
     /**
-     * Computer makes a move using the agent's policy.
+     * Get the Web Worker that trains and evaluates agents away from the page (see
+     * trainingWorker.js), starting it on first use.
+     * 
+     * @return {Worker|null} The worker, or null when the browser cannot start it.
      */
-    computerMove() {
-        const index = this.agent.policy(this.game);
-        this.game.move(index);
+    trainingWorker() {
+        if (!this.worker && typeof Worker !== 'undefined') {
+            try {
+                this.worker = new Worker(new URL('./trainingWorker.js', import.meta.url), {type: 'module'});
+                this.worker.onmessage = (event) => this.onWorkerMessage(event.data);
+                this.worker.onerror = (event) => this.onWorkerMessage({
+                    type: 'error',
+                    message: event.message || 'the training worker failed',
+                });
+            } catch (error) {
+                logger.warn('ui', 'workerFailed', {error: String(error)});
+                this.worker = null;
+            }
+        }
+        return this.worker;
     }
 
     /**
-     * When the player (user) selects a grid button, a bout of the game plays out where the
-     * computer gets a follow-up move (if the game has not terminated). The computer is also
-     * given the option to learn as the game progresses. The game is reset at termination.
+     * Handle a message from the training worker (see trainingWorker.js).
      * 
-     * @param {string} buttonId The id of a grid button (see idToIndex). 
+     * @param {Object} message The message.
      */
-    moveSequence(buttonId) {
-        // Player makes a move.
-        this.playerMove(buttonId);
+    onWorkerMessage(message) {
+        if (message.type == 'progress') {
+            this.adoptSnapshot(message.agent);
+            this.showTrainingProgress(message.done, message.total);
+        } else if (message.type == 'trained') {
+            this.adoptSnapshot(message.agent);
+            this.finishTraining(message.summary, message.cancelled);
+        } else if (message.type == 'evaluated') {
+            this.showEvaluation(message.report);
+        } else if (message.type == 'error') {
+            if (this.training) {
+                this.finishTraining(null, false, message.message);
+            } else {
+                document.getElementById('evalReport').innerText = `evaluation failed: ${message.message}`;
+                document.getElementById('evaluateAgent').disabled = !isClassic(this.game);
+            }
+        }
+    }
 
-        if (this.game.actionHistory.length > 1) {
-            // Learning cannot occur util after the player and computer have both moved at
-            // least once.
-            this.agent.learn(this.game, this.rewardFunc);
+    /**
+     * Replace what the agent has learned with a snapshot from the training worker, so that
+     * the computer plays with the latest snapshot while training continues. What the agent
+     * learns from games played in the meantime is replaced by the next snapshot. A snapshot
+     * of another type of agent (after switching agents during training) is stored as that
+     * agent's autosave instead.
+     * 
+     * @param {Object} data Snapshot of the agent (see Agent.save()).
+     */
+    adoptSnapshot(data) {
+        if (data.type != this.agent.constructor.name) {
+            try {
+                window.localStorage.setItem(`${agentStorageKey}.${data.type}`, JSON.stringify(data));
+            } catch (error) {
+                logger.warn('ui', 'storeFailed', {item: 'agent', type: data.type, error: String(error)});
+            }
+            return;
         }
+        this.agent.load(data);
+        this.showParams();
+        this.updateHeatmap();
+    }
 
-        let outcome = this.game.checkTermination();
-        if (outcome) {
-            // Player finished the game. Enable the reset button.
-            this.enableReset();
+    /**
+     * Train the agent for the number of games in the training field against the opponent
+     * chosen in the training selector. The agent plays both sides. Training runs in the
+     * training worker when the browser can start it, and otherwise on the page in batches
+     * between which the page handles the board. Either way it can be paused and cancelled.
+     */
+    trainAgent() {
+        this.learnFromGame();
+        const episodesField = document.getElementById('trainEpisodes');
+        let episodes = episodesField.value;
+        if (!isNaN(episodes) && Number.isInteger(Number(episodes)) && Number(episodes) > 0) {
+            episodes = Number(episodes);
         } else {
-            // Computer makes a move.
-            this.computerMove();
+            episodes = 1000;
+            episodesField.value = episodes;
+        }
+        const selfPlay = document.getElementById('trainOpponent').value == 'self';
 
-            outcome = this.game.checkTermination();
-            if (outcome) {
-                // Computer finished the game. Learn and enable the reset button.
-                this.agent.learn(
-                    this.game, 
-                    this.rewardFunc, 
-                );
-                this.enableReset();
-            }
+        const worker = this.trainingWorker();
+        this.training = {selfPlay, worker, control: {paused: false, cancelled: false}};
+        logger.info('ui', 'trainingStarted', {
+            agent: this.agent.constructor.name,
+            opponent: selfPlay ? 'self' : 'random',
+            episodes,
+            worker: Boolean(worker),
+        });
+        this.showTrainingControls();
+        if (worker) {
+            const {width, height, winLength} = this.game;
+            worker.postMessage({
+                command: 'train',
+                agent: this.agent.save(),
+                board: {width, height, winLength},
+                reward: this.rewardSpec,
+                opponent: selfPlay ? 'self' : 'random',
+                episodes,
+                seed: this.random.integer(4294967296),
+            });
+            return;
         }
+
+        const opponent = selfPlay ? this.agent : new RandomAgent(this.agent.player == 'X' ? 'O' : 'X');
+        const control = this.training.control;
+        trainInBatches(this.agent, opponent, this.rewardFunc, episodes, {
+            game: this.game.clone(0),
+            alternate: true,
+            random: this.random,
+            control,
+            onProgress: (done, total) => this.showTrainingProgress(done, total),
+        }).then((results) => {
+            const wins = results.filter((result) => result.winner === this.agent).length;
+            const draws = results.filter((result) => result.outcome == 'draw').length;
+            const summary = {games: results.length, wins, draws, losses: results.length - wins - draws};
+            this.finishTraining(summary, control.cancelled);
+        }).catch((error) => {
+            this.finishTraining(null, false, error.message);
+        });
     }
 
     /**
-     * Store an iterable of grid button elements.
+     * Pause training if it is running, or resume it if it is paused.
+     */
+    pauseTraining() {
+        if (!this.training) {
+            return;
+        }
+        let control = this.training.control;
+        control.paused = !control.paused;
+        if (this.training.worker) {
+            this.training.worker.postMessage({command: control.paused ? 'pause' : 'resume'});
+        }
+        this.showTrainingControls();
+    }
+
+    /**
+     * Stop training after the current batch of games. The agent keeps what it has learned
+     * so far.
+     */
+    cancelTraining() {
+        if (!this.training) {
+            return;
+        }
+        this.training.control.cancelled = true;
+        if (this.training.worker) {
+            this.training.worker.postMessage({command: 'cancel'});
+        }
+        document.getElementById('trainCancel').disabled = true;
+    }
+
+    /**
+     * Enable the training buttons that apply to whether training is running or paused.
+     */
+    showTrainingControls() {
+        const training = this.training;
+        document.getElementById('trainAgent').disabled = Boolean(training);
+        document.getElementById('trainCancel').disabled = !training;
+        let pauseButton = document.getElementById('trainPause');
+        pauseButton.disabled = !training;
+        pauseButton.innerText = training && training.control.paused ? 'resume' : 'pause';
+    }
+
+    /**
+     * Show how many training games have been played.
      * 
-     * @param {iterable(elements)} buttons An iterable over button elements for game board.
+     * @param {number} done Number of games played.
+     * @param {number} total Number of games to play.
      */
-    setGrid(buttons) {
-        this.game.buttons = buttons;
+    showTrainingProgress(done, total) {
+        document.getElementById('trainProgress').innerText = `${done}/${total} games`;
     }
 
     /**
-     * Store the reset button element.
+     * Show the result of training, save the agent and enable training again.
      * 
-     * @param {element} button The reset button element.
+     * @param {Object|null} summary Numbers of games, wins, draws and losses, or null when
+     *     training failed.
+     * @param {boolean} cancelled Whether training was cancelled before all games were
+     *     played.
+     * @param {string} [error=null] Why training failed.
      */
-    setReset(button) {
-        this.resetButton = button;
-        this.disableReset();
+    finishTraining(summary, cancelled, error=null) {
+        const progress = document.getElementById('trainProgress');
+        const status = cancelled ? 'cancelled' : 'done';
+        if (error) {
+            logger.error('ui', 'trainingFailed', {error});
+            progress.innerText = `training failed: ${error}`;
+        } else if (this.training.selfPlay) {
+            logger.info('ui', 'trainingFinished', {summary, cancelled});
+            progress.innerText = `${status}: ${summary.draws} draws in ${summary.games} games`;
+        } else {
+            logger.info('ui', 'trainingFinished', {summary, cancelled});
+            progress.innerText = `${status}: ${summary.wins} wins, ${summary.draws} draws, ` +
+                                 `${summary.losses} losses`;
+        }
+        this.training = null;
+        this.showTrainingControls();
+        this.saveAgent();
+        this.updateHeatmap();
     }
 
     /**
-     * Enable the reset button (clickable).
+     * Evaluate the greedy agent against a random and a perfect opponent and show the
+     * results. The agent does not learn from these games. The evaluation runs in the
+     * training worker unless it is training or cannot be started.
      */
-    enableReset() {
-        this.resetButton.disabled = false;
+    evaluateAgent() {
+        this.learnFromGame();
+        const worker = this.training ? null : this.trainingWorker();
+        if (worker) {
+            const {width, height, winLength} = this.game;
+            document.getElementById('evaluateAgent').disabled = true;
+            document.getElementById('evalReport').innerText = 'evaluating...';
+            worker.postMessage({
+                command: 'evaluate',
+                agent: this.agent.save(),
+                board: {width, height, winLength},
+                games: 100,
+                seed: this.random.integer(4294967296),
+            });
+            return;
+        }
+        this.showEvaluation(evaluate(this.agent, {games: 100, game: this.game, random: this.random}));
     }
 
     /**
-     * Disable the reset button (unclickable).
+     * Show the report of an evaluation.
+     * 
+     * @param {Object} report Report produced by evaluate().
      */
-    disableReset() {
-        this.resetButton.disabled = true;
+    showEvaluation(report) {
+        const percent = (rate) => `${Math.round(100 * rate)}%`;
+        let lines = [];
+        for (let [name, sides] of Object.entries(report.opponents)) {
+            for (let [side, result] of Object.entries(sides)) {
+                lines.push(`vs ${name} as ${side}: ${percent(result.winRate)} won, ` +
+                           `${percent(result.drawRate)} drawn, ${percent(result.lossRate)} lost`);
+            }
+        }
+        lines.push(`optimal moves: ${percent(report.optimalMoveRate.overall)} of positions`);
+        document.getElementById('evalReport').innerText = lines.join('\n');
+        document.getElementById('evaluateAgent').disabled = !isClassic(this.game);
     }
 
     /**
-     * Reset the game (start a fresh game).
+     * Show or hide the debug panel. While it is shown, events at the level chosen in the
+     * panel and above are logged; otherwise only warnings and errors are.
+     * 
+     * @param {boolean} enabled Whether to show the debug panel.
      */
-    resetGame() {
-        // Disable the reset button and reset the game.
-        this.disableReset();
-        this.game.reset();
+    setDebug(enabled) {
+        this.debug = enabled;
+        document.getElementById('debugMode').checked = enabled;
+        document.getElementById('debugDiv').hidden = !enabled;
+        logger.setLevel(enabled ? document.getElementById('logLevel').value : 'warn');
+        this.saveDebug();
+        this.showLog();
+    }
 
-        if (Math.random() < 0.5) {
-            // Player (user) is 'O' in the next game.
-            this.playerChoice = 'O';
-            this.agent.player = 'X';
-            this.computerMove();
-        } else {
-            // Player (user) is 'X' in the next game.
-            this.playerChoice = 'X';
-            this.agent.player = 'O';
+    /**
+     * Set the lowest level of events logged while the debug panel is shown.
+     * 
+     * @param {string} level 'debug', 'info', 'warn' or 'error'.
+     */
+    setLogLevel(level) {
+        document.getElementById('logLevel').value = level;
+        if (this.debug) {
+            logger.setLevel(level);
         }
+        this.saveDebug();
     }
 
     /**
-     * Update the hyperparameters of the agent by pulling values from fields.
+     * Log or ignore the events of a channel.
+     * 
+     * @param {string} channel 'game', 'agent' or 'ui' (see LOG_CHANNELS).
+     * @param {boolean} enabled Whether events on the channel are logged.
      */
-    updateParams() {
-        if (this.agent instanceof MonteCarloAgent || this.agent instanceof QLearningAgent) {
-            // Pull in any new values for the epsilon and discount hyperparameters.
-            let epsilonField = document.getElementById('epsilonGreedy');
-            let epsilon = epsilonField.value;
-            if (!isNaN(epsilon) && Number(epsilon) >= 0.0 && Number(epsilon) <= 1.0) {
-                this.agent.epsilon = Number(epsilon);
-            } else {
-                epsilon = this.agent.epsilon;
-                epsilonField.value = epsilon;
+    setLogChannel(channel, enabled) {
+        logger.setChannel(channel, enabled);
+        this.saveDebug();
+        this.showLog();
+    }
+
+    /**
+     * Store the debug settings in the browser's localStorage.
+     */
+    saveDebug() {
+        try {
+            window.localStorage.setItem(debugStorageKey, JSON.stringify({
+                enabled: this.debug,
+                level: document.getElementById('logLevel').value,
+                channels: [...logger.channels],
+            }));
+        } catch (error) {
+            logger.warn('ui', 'storeFailed', {item: 'debug', error: String(error)});
+        }
+    }
+
+    /**
+     * Restore the debug settings stored in the browser's localStorage, if there are any.
+     */
+    restoreDebug() {
+        let enabled = false;
+        try {
+            const data = JSON.parse(window.localStorage.getItem(debugStorageKey));
+            if (data) {
+                enabled = Boolean(data.enabled);
+                document.getElementById('logLevel').value = data.level;
+                for (let channel of LOG_CHANNELS) {
+                    const logged = data.channels.includes(channel);
+                    logger.setChannel(channel, logged);
+                    document.getElementById(logChannelFields[channel]).checked = logged;
+                }
             }
+        } catch (error) {
+            // Unreadable settings are ignored and debugging stays off.
+            logger.warn('ui', 'restoreFailed', {item: 'debug', error: String(error)});
+        }
+        this.setDebug(enabled);
+    }
 
-            let discountField = document.getElementById('discountFactor');
-            let discount = discountField.value;
-            if (!isNaN(discount) && Number(discount) >= 0.0 && Number(discount) <= 1.0) {
-                this.agent.discount = Number(discount);
-            } else {
-                discount = this.agent.discount;
-                discountField.value = discount;
+    /**
+     * Refresh the debug panel shortly, so that bursts of events (e.g. while training)
+     * refresh it once.
+     */
+    scheduleLogView() {
+        if (this.debug && !this.logTimer) {
+            this.logTimer = setTimeout(() => {
+                this.logTimer = null;
+                this.showLog();
+            }, 250);
+        }
+    }
+
+    /**
+     * Show the most recent events in the debug panel.
+     */
+    showLog() {
+        if (!this.debug) {
+            return;
+        }
+        let view = document.getElementById('logView');
+        view.innerText = logger.entries({limit: 100}).map(formatEntry).join('\n');
+        view.scrollTop = view.scrollHeight;
+    }
+
+    /**
+     * Forget the logged events.
+     */
+    clearLog() {
+        logger.clear();
+        this.showLog();
+    }
+
+    /**
+     * Download the logged events as a JSON Lines file, one event per line.
+     */
+    downloadLog() {
+        const blob = new Blob([logger.toJSONLines()], {type: 'application/x-ndjson'});
+        const url = URL.createObjectURL(blob);
+        let link = document.createElement('a');
+        link.href = url;
+        link.download = 'xo-log.jsonl';
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Show or hide the Q-table panel.
+     * 
+     * @param {boolean} enabled Whether to show the panel.
+     */
+    setInspector(enabled) {
+        this.inspecting = enabled;
+        document.getElementById('inspectMode').checked = enabled;
+        document.getElementById('inspectorDiv').hidden = !enabled;
+        this.showInspector();
+    }
+
+    /**
+     * Refresh the Q-table panel shortly, so that bursts of updates (e.g. while training)
+     * refresh it once.
+     */
+    scheduleInspector() {
+        if (this.inspecting && !this.inspectorTimer) {
+            this.inspectorTimer = setTimeout(() => {
+                this.inspectorTimer = null;
+                this.showInspector();
+            }, 250);
+        }
+    }
+
+    /**
+     * List the entries of the agent's Q-function (and countQ) that pass the filters of the
+     * Q-table panel, in the chosen order, each with its position, value and count.
+     */
+    showInspector() {
+        if (!this.inspecting) {
+            return;
+        }
+        let summary = document.getElementById('inspectSummary');
+        let list = document.getElementById('inspectList');
+        list.innerHTML = '';
+        if (this.agent.constructor.tableFormat() != 'q-table') {
+            const {label} = agentRegistry.get(this.agent.constructor.name);
+            summary.innerText = `The ${label} agent does not learn a table of Q-values.`;
+            return;
+        }
+
+        let pattern = null;
+        try {
+            pattern = parsePattern(document.getElementById('inspectPattern').value);
+        } catch (error) {
+            if (!(error instanceof InvalidPatternError)) {
+                throw error;
             }
+            summary.innerText = error.message;
+            return;
+        }
+        const filter = {
+            minValue: readOptionalNumber('inspectMinValue'),
+            maxValue: readOptionalNumber('inspectMaxValue'),
+            minCount: readOptionalNumber('inspectMinCount'),
+            move: readOptionalNumber('inspectMove'),
+            pattern,
+        };
+        const entries = tableEntries(this.agent);
+        const matching = sortEntries(
+            filterEntries(entries, filter),
+            document.getElementById('inspectSort').value,
+            document.getElementById('inspectOrder').value == 'descending',
+        );
+        const shown = matching.slice(0, inspectorRows);
+        summary.innerText = `${shown.length} of ${matching.length} matching entries ` +
+                            `(${entries.length} in the table)`;
+        for (let entry of shown) {
+            list.appendChild(this.inspectorRow(entry));
+        }
+    }
 
-            if (this.agent instanceof QLearningAgent) {
-                // Pull and store the learning rate (alpha).
-                let alphaField = document.getElementById('alphaLearn');
-                let alpha = alphaField.value;
-                if (!isNaN(alpha) && Number(alpha) >= 0.0 && Number(alpha) <= 1.0) {
-                    this.agent.alpha = Number(alpha);
-                } else {
-                    alpha = this.agent.alpha;
-                    alphaField.value = alpha;
-                }
+    /**
+     * Create the row of the Q-table panel that shows and edits an entry.
+     * 
+     * @param {Object} entry Entry of the table (see tableEntries()).
+     * @return {element} The row.
+     */
+    inspectorRow(entry) {
+        let row = document.createElement('div');
+        row.className = 'inspectRow';
+        row.appendChild(createMiniBoard(entry));
+
+        let details = document.createElement('span');
+        details.className = 'inspectDetails';
+        let key = document.createElement('code');
+        key.innerText = entry.key;
+        details.appendChild(key);
+        details.appendChild(document.createElement('br'));
+
+        let value = document.createElement('input');
+        value.type = 'text';
+        value.className = 'inspectValue';
+        value.title = 'Q-value';
+        value.value = entry.value == null ? '' : entry.value;
+        value.onchange = () => this.editEntry(entry.key, 'value', value.value);
+        let count = document.createElement('input');
+        count.type = 'text';
+        count.className = 'inspectCount';
+        count.title = 'updates';
+        count.value = entry.count;
+        count.onchange = () => this.editEntry(entry.key, 'count', count.value);
+        let remove = document.createElement('button');
+        remove.innerText = 'delete';
+        remove.onclick = () => this.deleteEntry(entry.key);
+        let jump = document.createElement('button');
+        jump.innerText = 'jump to position';
+        jump.onclick = () => this.jumpToPosition(entry.key);
+        for (let [label, element] of [['Q ', value], [' updates ', count], [' ', remove], [' ', jump]]) {
+            details.appendChild(document.createTextNode(label));
+            details.appendChild(element);
+        }
+        row.appendChild(details);
+        return row;
+    }
+
+    /**
+     * Check that the agent's table may be edited: edits made while training would be
+     * overwritten by the training run.
+     * 
+     * @return {boolean} Whether the table may be edited.
+     */
+    canEditTable() {
+        if (this.training) {
+            alert('Wait for training to finish before editing what the computer has learned.');
+            this.showInspector();
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Overwrite the Q-value or count of a table entry from the Q-table panel. Invalid
+     * values are discarded.
+     * 
+     * @param {string} key Key of the entry (see Agent.getKey()).
+     * @param {string} field 'value' or 'count'.
+     * @param {string} text The new value.
+     */
+    editEntry(key, field, text) {
+        if (!this.canEditTable()) {
+            return;
+        }
+        this.learnFromGame();
+        const number = Number(text.trim());
+        const valid = text.trim() !== '' && (
+            field == 'value' ? Number.isFinite(number) : Number.isInteger(number) && number >= 0
+        );
+        if (!valid) {
+            this.showInspector();
+            return;
+        }
+        const old = field == 'value' ? this.agent.Q.get(key) : this.agent.countQ.get(key);
+        if (field == 'value') {
+            this.agent.setValue(key, number);
+        } else {
+            this.agent.setCount(key, number);
+        }
+        logger.info('ui', 'tableEdited', {key, field, old: old == null ? null : old, new: number});
+        this.saveAgent();
+        this.updateHeatmap();
+    }
+
+    /**
+     * Delete an entry of the agent's table from the Q-table panel (see Agent.deleteEntry()).
+     * 
+     * @param {string} key Key of the entry (see Agent.getKey()).
+     */
+    deleteEntry(key) {
+        if (!this.canEditTable()) {
+            return;
+        }
+        this.learnFromGame();
+        logger.info('ui', 'tableEntryDeleted', {
+            key, value: this.agent.Q.has(key) ? this.agent.Q.get(key) : null,
+        });
+        this.agent.deleteEntry(key);
+        this.saveAgent();
+        this.updateHeatmap();
+    }
+
+    /**
+     * Set up the position of a table entry on the main board, with the move of the entry
+     * outlined, switching to its board first if necessary. The pieces are placed as if
+     * played in turn from the empty board, and against the computer the human takes the
+     * side to move, so that the heatmap shows what the agent would make of each move.
+     * 
+     * @param {string} key Key of the entry (see Agent.getKey()).
+     */
+    jumpToPosition(key) {
+        this.learnFromGame();
+        const {state, action, width, height, winLength} = decodeKey(key);
+        if (width != this.game.width || height != this.game.height || winLength != this.game.winLength) {
+            document.getElementById('boardWidth').value = width;
+            document.getElementById('boardHeight').value = height;
+            document.getElementById('winLength').value = winLength;
+            this.setBoard();
+        }
+        if (this.mode == 'spectate') {
+            document.getElementById('playMode').value = 'computer';
+            this.setMode('computer');
+        }
+
+        this.disableReset();
+        document.getElementById('winState').innerHTML = '&nbsp;';
+        this.game.reset();
+        this.redoMoves = [];
+        const pieces = {X: [], O: []};
+        for (let [index, piece] of state.entries()) {
+            if (pieces.hasOwnProperty(piece)) {
+                pieces[piece].push(index);
+            }
+        }
+        for (let i = 0; i < pieces.X.length; i++) {
+            this.game.move(pieces.X[i]);
+            if (i < pieces.O.length) {
+                this.game.move(pieces.O[i]);
             }
         }
+        if (this.mode == 'computer') {
+            this.playerChoice = this.game.currentPlayer;
+            const computer = this.playerChoice == 'X' ? 'O' : 'X';
+            this.agent.player = computer;
+            if (this.perfectAgent) {
+                this.perfectAgent.player = computer;
+            }
+        }
+        logger.info('ui', 'jumpToPosition', {key});
+        this.showTakeback();
+        this.updateHeatmap();
+        this.game.buttons[action].style.outline = '3px solid #36c';
+    }
+
+    /**
+     * Make the agent forget everything it has learned, including its autosave.
+     */
+    forgetAgent() {
+        if (confirm('Forget everything the computer has learned?')) {
+            this.learnFromGame();
+            this.agent.clear();
+            this.saveAgent();
+            this.updateHeatmap();
+        }
     }
 }
 
@@ -235,14 +2186,32 @@ class GameHandler {
    the reward function. */
 let playerChoice = 'X';
 let game = new TicTacToe();
-let agent = new QLearningAgent(playerChoice == 'X' ? 'O' : 'X')
-let rewardFunc = terminalOnly;
-
-const debug = false;
-if (!debug) {
-    // When debug is false, turn off all logging.
-    disableLogging();
+let agentType = 'QLearningAgent';
+try {
+    const storedType = window.localStorage.getItem(agentTypeStorageKey);
+    if (agentRegistry.has(storedType)) {
+        agentType = storedType;
+    }
+} catch (error) {
+    // Storage is unavailable; use the default agent.
+}
+let agentSelect = document.getElementById('agentType');
+for (let [name, {label}] of agentRegistry) {
+    let option = document.createElement('option');
+    option.value = name;
+    option.innerText = label;
+    agentSelect.appendChild(option);
 }
+agentSelect.value = agentType;
+let opponentSelect = document.getElementById('spectateOpponent');
+for (let [name, {label}] of agentRegistry) {
+    let option = document.createElement('option');
+    option.value = name;
+    option.innerText = `the ${label} agent`;
+    opponentSelect.appendChild(option);
+}
+let agent = new (agentRegistry.get(agentType).AgentType)(playerChoice == 'X' ? 'O' : 'X');
+let rewardFunc = terminalReward();
 
 // Instantiate the game handler.
 window.gameHandler = new GameHandler(
@@ -251,6 +2220,11 @@ window.gameHandler = new GameHandler(
     agent,
     rewardFunc,
 );
+window.gameHandler.restoreAgent();
+window.gameHandler.restoreGuide();
+window.gameHandler.restoreReward();
+window.gameHandler.restoreScoreboard();
+window.gameHandler.restoreDebug();
 
 // Bind enter key to the reset button.
 document.onkeydown = function (e) {
@@ -265,9 +2239,14 @@ document.onkeydown = function (e) {
 }
 
 window.onload = function () {
-    // Store the grid and reset button in the game handler once the page loads.
-    let buttons = document.getElementsByClassName('gridButton');
-    window.gameHandler.setGrid(buttons);
+    // Build the grid and store the reset button in the game handler once the page loads.
+    window.gameHandler.buildGrid();
+    document.getElementById('randomSeed').value = window.gameHandler.random.seed;
     let resetButton = document.getElementById('resetGame');
     window.gameHandler.setReset(resetButton);
+};
+
+window.onpagehide = function () {
+    // Learn from a finished game held for takeback before the page goes away.
+    window.gameHandler.learnFromGame();
 };
\ No newline at end of file